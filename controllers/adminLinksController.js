@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Issue = require('../models/Issue');
+const notificationService = require('../services/notificationService');
 
 // Get admin's current link information
 exports.getAdminLinkInfo = async (req, res) => {
@@ -105,7 +106,7 @@ exports.generateNewAdminCode = async (req, res) => {
 exports.updateAdminSettings = async (req, res) => {
   try {
     const adminId = req.user.id;
-    const { organizationName, customBranding, issueFormSettings } = req.body;
+    const { organizationName, customBranding, issueFormSettings, maintenanceSettings, notificationSettings } = req.body;
     
     const admin = await User.findById(adminId);
     if (!admin || admin.role !== 'Admin') {
@@ -138,6 +139,52 @@ exports.updateAdminSettings = async (req, res) => {
       };
     }
 
+    if (maintenanceSettings) {
+      // Default manager for preventive tasks must be one of this admin's managers
+      if (maintenanceSettings.defaultManagerId) {
+        const manager = await User.findOne({
+          _id: maintenanceSettings.defaultManagerId,
+          role: 'Manager',
+          adminId,
+          isActive: true
+        });
+
+        if (!manager) {
+          return res.status(400).json({
+            status: 'error',
+            message: 'Invalid default manager'
+          });
+        }
+      }
+
+      admin.adminSettings.maintenanceSettings = {
+        ...admin.adminSettings.maintenanceSettings,
+        ...maintenanceSettings
+      };
+    }
+
+    if (notificationSettings) {
+      const notificationErrors = notificationService.validateSettings(notificationSettings);
+      if (notificationErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: notificationErrors
+        });
+      }
+
+      for (const [channel, enabled] of Object.entries(notificationSettings.residentChannels || {})) {
+        admin.set(`adminSettings.notificationSettings.residentChannels.${channel}`, enabled);
+      }
+
+      // Blank template fields go back to the default wording
+      for (const [event, template] of Object.entries(notificationSettings.templates || {})) {
+        for (const [field, text] of Object.entries(template)) {
+          admin.set(`adminSettings.notificationSettings.templates.${event}.${field}`, text || undefined);
+        }
+      }
+    }
+
     await admin.save();
 
     res.json({
@@ -156,6 +203,30 @@ exports.updateAdminSettings = async (req, res) => {
   }
 };
 
+// Get resident notification channels, placeholders and templates (defaults filled in)
+exports.getNotificationSettings = async (req, res) => {
+  try {
+    const admin = await User.findById(req.user.id).select('adminSettings');
+    if (!admin) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Admin not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: notificationService.getSettingsInfo(admin)
+    });
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get admin info by code (public endpoint for form customization)
 exports.getAdminByCode = async (req, res) => {
   try {
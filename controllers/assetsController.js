@@ -2,6 +2,8 @@ const { validationResult } = require('express-validator');
 const Asset = require('../models/Asset');
 const Society = require('../models/Society');
 const AssetLibraryItem = require('../models/AssetLibraryItem');
+const bulkImportService = require('../services/bulkImportService');
+const exportService = require('../services/exportService');
 
 // Helper function to get admin ID based on user role
 const getAdminId = (user) => {
@@ -13,6 +15,44 @@ const getAdminId = (user) => {
   return null;
 };
 
+// Helper function to build the asset list filter from the user's role and query filters
+const buildAssetFilter = (req) => {
+  const { societyId, condition, search } = req.query;
+
+  let filter = {
+    isActive: true
+  };
+
+  // Filter based on user role
+  if (req.user.role === 'Admin') {
+    filter.adminId = req.user.id;
+  } else if (req.user.role === 'Manager') {
+    // Managers should only see assets from their admin (if adminId is set)
+    if (req.user.adminId) {
+      filter.adminId = req.user.adminId;
+    }
+  }
+
+  if (societyId) {
+    filter.societyId = societyId;
+  }
+
+  if (condition) {
+    filter.condition = condition;
+  }
+
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { serialNumber: { $regex: search, $options: 'i' } },
+      { manufacturer: { $regex: search, $options: 'i' } },
+      { model: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
 /**
  * @desc    Get all assets for the current admin (optionally filtered by society)
  * @route   GET /api/assets
@@ -29,40 +69,7 @@ const getAssets = async (req, res, next) => {
       });
     }
 
-    const { societyId, condition, search } = req.query;
-    
-    let filter = {
-      isActive: true
-    };
-
-    // Filter based on user role
-    if (req.user.role === 'Admin') {
-      filter.adminId = req.user.id;
-    } else if (req.user.role === 'Manager') {
-      // Managers should only see assets from their admin (if adminId is set)
-      if (req.user.adminId) {
-        filter.adminId = req.user.adminId;
-      }
-    }
-
-    if (societyId) {
-      filter.societyId = societyId;
-    }
-
-    if (condition) {
-      filter.condition = condition;
-    }
-
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { serialNumber: { $regex: search, $options: 'i' } },
-        { manufacturer: { $regex: search, $options: 'i' } },
-        { model: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    const assets = await Asset.find(filter)
+    const assets = await Asset.find(buildAssetFilter(req))
       .populate('societyId', 'name address')
       .populate('assetLibraryItemId', 'name category')
       .sort({ 'societyId.name': 1, name: 1 });
@@ -79,6 +86,59 @@ const getAssets = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Export assets as CSV or XLSX (same filters as GET /api/assets)
+ * @route   GET /api/assets/export
+ * @access  Private (Admin/Manager)
+ */
+const exportAssets = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cursor = Asset.find(buildAssetFilter(req))
+      .populate('societyId', 'name')
+      .populate('assetLibraryItemId', 'name category')
+      .sort({ societyId: 1, name: 1 })
+      .cursor();
+
+    await exportService.streamExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'assets',
+      sheetName: 'Assets',
+      cursor,
+      columns: [
+        { header: 'Asset ID', width: 26, value: asset => asset._id.toString() },
+        { header: 'Name', width: 30, value: asset => asset.name },
+        { header: 'Society', width: 25, value: asset => asset.societyId?.name },
+        { header: 'Asset Type', width: 25, value: asset => asset.assetLibraryItemId?.name },
+        { header: 'Category', value: asset => asset.assetLibraryItemId?.category },
+        { header: 'Building', value: asset => asset.location?.building },
+        { header: 'Floor', value: asset => asset.location?.floor },
+        { header: 'Room', value: asset => asset.location?.room },
+        { header: 'Location Description', width: 30, value: asset => asset.location?.description },
+        { header: 'Serial Number', value: asset => asset.serialNumber },
+        { header: 'Manufacturer', value: asset => asset.manufacturer },
+        { header: 'Model', value: asset => asset.model },
+        { header: 'Condition', value: asset => asset.condition },
+        { header: 'Installation Date', value: asset => asset.installationDate },
+        { header: 'Warranty Expiry', value: asset => asset.warrantyExpiry },
+        { header: 'Last Maintenance', value: asset => asset.lastMaintenanceDate },
+        { header: 'Next Maintenance', value: asset => asset.nextMaintenanceDate },
+        { header: 'Notes', width: 40, value: asset => asset.notes }
+      ]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get asset by ID
  * @route   GET /api/assets/:id
@@ -305,10 +365,84 @@ const deleteAsset = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Bulk import assets from a CSV/XLSX file
+ * @route   POST /api/assets/import
+ * @access  Private (Admin)
+ */
+const importAssets = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rows = req.importRows;
+
+    // Same ownership checks as createAsset, done once for the whole file
+    const [societies, assetLibraryItems] = await Promise.all([
+      Society.find({ adminId: req.resourceAdminId, isActive: true }).select('_id'),
+      AssetLibraryItem.find({ adminId: req.resourceAdminId, isActive: true }).select('_id')
+    ]);
+    const societyIds = new Set(societies.map(society => society._id.toString()));
+    const assetLibraryItemIds = new Set(assetLibraryItems.map(item => item._id.toString()));
+
+    rows.forEach(row => {
+      if (row.errors.length > 0) return;
+
+      if (!societyIds.has(row.data.societyId)) {
+        row.errors.push({ field: 'societyId', message: 'Invalid society ID or society not found' });
+      }
+      if (!assetLibraryItemIds.has(row.data.assetLibraryItemId)) {
+        row.errors.push({ field: 'assetLibraryItemId', message: 'Invalid asset library item ID or item not found' });
+      }
+    });
+
+    const result = await bulkImportService.importRows(Asset, rows, {
+      preview: req.query.preview === true,
+      toDocument: data => ({
+        ...data,
+        adminId: req.resourceAdminId
+      })
+    });
+
+    if (!result.summary.preview && result.summary.validRows === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No valid rows to import',
+        data: {
+          summary: result.summary,
+          errors: result.errors
+        }
+      });
+    }
+
+    res.status(result.summary.preview ? 200 : 201).json({
+      status: 'success',
+      message: result.summary.preview
+        ? 'Import preview generated'
+        : `${result.summary.created} assets imported successfully`,
+      data: {
+        summary: result.summary,
+        errors: result.errors,
+        assets: result.records
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAssets,
+  exportAssets,
   getAssetById,
   createAsset,
+  importAssets,
   updateAsset,
   deleteAsset
 };
\ No newline at end of file
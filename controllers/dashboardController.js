@@ -1,7 +1,10 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Society = require('../models/Society');
 const Task = require('../models/Task');
 const Asset = require('../models/Asset');
 const Issue = require('../models/Issue');
+const budgetService = require('../services/budgetService');
 
 /**
  * @desc    Get dashboard overview data
@@ -10,6 +13,15 @@ const Issue = require('../models/Issue');
  */
 const getDashboard = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     // Build filters based on user role
     let filter = {};
     
@@ -21,17 +33,23 @@ const getDashboard = async (req, res, next) => {
       filter = { adminId: req.user.adminId };
     }
 
+    // Task figures can be narrowed to a single vendor
+    const taskFilter = { ...filter, isActive: true };
+    if (req.query.vendorId) {
+      taskFilter.vendorId = new mongoose.Types.ObjectId(req.query.vendorId);
+    }
+
     // Get basic counts
     const [societiesCount, tasksCount, assetsCount, issuesCount] = await Promise.all([
       Society.countDocuments({ ...filter, isActive: true }),
-      Task.countDocuments({ ...filter, isActive: true }),
+      Task.countDocuments(taskFilter),
       Asset.countDocuments({ ...filter, isActive: true }),
-      Issue.countDocuments(req.user.role === 'Admin' ? { targetAdminId: req.user.id } : {})
+      Issue.countDocuments(filter)
     ]);
 
     // Get tasks by status
     const tasksByStatus = await Task.aggregate([
-      { $match: { ...filter, isActive: true } },
+      { $match: taskFilter },
       {
         $group: {
           _id: '$status',
@@ -52,9 +70,8 @@ const getDashboard = async (req, res, next) => {
     ]);
 
     // Get issues by status
-    const issueFilter = req.user.role === 'Admin' ? { targetAdminId: req.user.id } : {};
     const issuesByStatus = await Issue.aggregate([
-      { $match: issueFilter },
+      { $match: filter },
       {
         $group: {
           _id: '$status',
@@ -65,12 +82,12 @@ const getDashboard = async (req, res, next) => {
 
     // Get pending issues count
     const pendingIssuesCount = await Issue.countDocuments({ 
-      ...issueFilter,
+      ...filter,
       status: { $in: ['Submitted', 'UnderReview'] } 
     });
 
     // Get recent tasks
-    const recentTasks = await Task.find({ ...filter, isActive: true })
+    const recentTasks = await Task.find(taskFilter)
       .populate('societyId', 'name')
       .sort({ createdAt: -1 })
       .limit(5)
@@ -78,8 +95,7 @@ const getDashboard = async (req, res, next) => {
 
     // Count completed tasks
     const completedTasksCount = await Task.countDocuments({ 
-      ...filter, 
-      isActive: true,
+      ...taskFilter,
       status: 'Completed' 
     });
 
@@ -107,6 +123,11 @@ const getDashboard = async (req, res, next) => {
       status: task.status?.charAt(0).toUpperCase() + task.status?.slice(1).replace('_', ' ') || 'Unknown'
     }));
 
+    // Flag societies that have gone over budget (admins only)
+    const overBudgetSocieties = req.user.role === 'Admin'
+      ? await budgetService.getOverBudgetSocieties(req.user.id)
+      : [];
+
     const dashboardData = {
       stats: {
         totalSocieties: societiesCount,
@@ -114,12 +135,14 @@ const getDashboard = async (req, res, next) => {
         completedTasks: completedTasksCount,
         totalAssets: assetsCount,
         totalIssues: issuesCount,
-        pendingIssues: pendingIssuesCount
+        pendingIssues: pendingIssuesCount,
+        overBudgetSocieties: overBudgetSocieties.length
       },
       tasksByStatus: taskStatusData,
       assetsByCategory: assetCategoryData,
       issuesByStatus: issueStatusData,
-      recentTasks: formattedRecentTasks
+      recentTasks: formattedRecentTasks,
+      overBudgetSocieties
     };
 
     res.status(200).json({
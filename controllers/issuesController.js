@@ -1,8 +1,133 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Issue = require('../models/Issue');
 const Task = require('../models/Task');
 const Society = require('../models/Society');
 const Asset = require('../models/Asset');
 const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const exportService = require('../services/exportService');
+const taskHistoryService = require('../services/taskHistoryService');
+const storageService = require('../services/storageService');
+const notificationService = require('../services/notificationService');
+const slaService = require('../services/slaService');
+const managerAssignmentService = require('../services/managerAssignmentService');
+const { MAX_ISSUE_PHOTOS, ISSUE_PHOTO_TYPES } = require('../middleware/issuePhotoMiddleware');
+
+// Maximum lengths for free-text custom field answers
+const CUSTOM_FIELD_MAX_LENGTH = {
+  text: 200,
+  textarea: 1000
+};
+
+// Resident-facing status for each issue status (converted issues follow their task)
+const ISSUE_TRACKING_STATUS = {
+  Submitted: 'Received',
+  UnderReview: 'UnderReview',
+  Approved: 'Approved',
+  Rejected: 'Rejected'
+};
+
+// Resident-facing status for each task status
+const TASK_TRACKING_STATUS = {
+  Pending: 'Scheduled',
+  QuotationPhase: 'Scheduled',
+  PendingApproval: 'Scheduled',
+  InProgress: 'InProgress',
+  PendingVerification: 'InProgress',
+  RequiresAttention: 'InProgress',
+  Completed: 'Resolved'
+};
+
+// Shown for task statuses missing from TASK_TRACKING_STATUS
+const DEFAULT_TASK_TRACKING_STATUS = 'Scheduled';
+
+const TRACKING_STATUS_MESSAGES = {
+  Received: 'Your issue has been received and is waiting to be reviewed.',
+  UnderReview: 'Your issue is being reviewed.',
+  Approved: 'Your issue has been approved and work will be scheduled.',
+  Rejected: 'Your issue was not approved.',
+  Scheduled: 'Work on your issue has been scheduled.',
+  InProgress: 'Work on your issue is in progress.',
+  Resolved: 'The work has been completed and checked. Your issue is resolved.'
+};
+
+// Validate custom field answers against an admin's issue form field definitions
+// Returns the normalised answers to store on the issue, or the validation errors
+const validateCustomFields = (definitions, answers) => {
+  const errors = [];
+  const values = [];
+
+  definitions = definitions || [];
+  answers = answers || {};
+  if (typeof answers !== 'object' || Array.isArray(answers)) {
+    return { errors: [{ field: 'customFields', message: 'Custom fields must be an object keyed by field name' }], values };
+  }
+
+  const knownNames = definitions.map(definition => definition.name);
+  Object.keys(answers).forEach(name => {
+    if (!knownNames.includes(name)) {
+      errors.push({ field: `customFields.${name}`, message: `Unknown field "${name}"` });
+    }
+  });
+
+  definitions.forEach(definition => {
+    const { name, type, required, options } = definition;
+    const field = `customFields.${name}`;
+    let value = answers[name];
+
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    if (isEmpty) {
+      if (required) {
+        errors.push({ field, message: `${name} is required` });
+      }
+      return;
+    }
+
+    switch (type) {
+      case 'number':
+        value = Number(value);
+        if (typeof answers[name] === 'boolean' || Number.isNaN(value)) {
+          errors.push({ field, message: `${name} must be a number` });
+          return;
+        }
+        break;
+      case 'checkbox':
+        if (value === 'true' || value === 'false') {
+          value = value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+          errors.push({ field, message: `${name} must be true or false` });
+          return;
+        }
+        if (required && !value) {
+          errors.push({ field, message: `${name} must be checked` });
+          return;
+        }
+        break;
+      case 'select':
+        if (!(options || []).includes(value)) {
+          errors.push({ field, message: `${name} must be one of: ${(options || []).join(', ')}` });
+          return;
+        }
+        break;
+      default:
+        if (typeof value !== 'string') {
+          errors.push({ field, message: `${name} must be text` });
+          return;
+        }
+        value = value.trim();
+        if (value.length > CUSTOM_FIELD_MAX_LENGTH[type || 'text']) {
+          errors.push({ field, message: `${name} cannot exceed ${CUSTOM_FIELD_MAX_LENGTH[type || 'text']} characters` });
+          return;
+        }
+    }
+
+    values.push({ name, type, value });
+  });
+
+  return { errors, values };
+};
 
 // Public endpoints for residents (no authentication required)
 
@@ -18,7 +143,9 @@ exports.submitIssue = async (req, res) => {
       residentInfo,
       location,
       urgencyLevel,
-      adminCode
+      adminCode,
+      customFields,
+      images
     } = req.body;
 
     // Validate required fields
@@ -50,6 +177,70 @@ exports.submitIssue = async (req, res) => {
       }
     }
 
+    // Issues submitted through an admin link must be for one of that admin's societies
+    if (targetAdmin && society.adminId.toString() !== targetAdmin._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid society for this admin'
+      });
+    }
+
+    // Validate answers to the admin's custom form fields
+    const { errors: customFieldErrors, values: customFieldValues } = validateCustomFields(
+      targetAdmin?.adminSettings?.issueFormSettings?.customFields,
+      customFields
+    );
+
+    if (customFieldErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: customFieldErrors
+      });
+    }
+
+    // Photos come as multipart uploads ("photos") and/or as { url, filename } entries for
+    // photos already uploaded through /api/issues/photo-upload-url
+    const signedImages = Array.isArray(images) ? images : [];
+    const uploadedPhotos = req.files || [];
+
+    if (signedImages.length + uploadedPhotos.length > MAX_ISSUE_PHOTOS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can attach up to ${MAX_ISSUE_PHOTOS} photos`
+      });
+    }
+
+    // Signed-URL photos must have been uploaded for this society's admin
+    const photoFolder = `issue-photos/${society.adminId}`;
+    const issueImages = [];
+    for (const image of signedImages) {
+      const filePath = storageService.getFilePathFromUrl(image?.url);
+      if (!filePath || !filePath.startsWith(`${photoFolder}/`)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid photo URL. Photos must be uploaded through the issue form.'
+        });
+      }
+      issueImages.push({ url: image.url, filename: image.filename, filePath });
+    }
+
+    if (uploadedPhotos.length > 0 && !storageService.isConfigured()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Photo uploads are not available right now. Please submit the issue without photos.'
+      });
+    }
+
+    for (const [index, photo] of uploadedPhotos.entries()) {
+      const { fileName, ...storedPhoto } = await storageService.storeUpload(photo, {
+        fileName: `${Date.now()}-${index + 1}`,
+        folder: photoFolder,
+        isAllowed: mimeType => ISSUE_PHOTO_TYPES.includes(mimeType)
+      });
+      issueImages.push({ ...storedPhoto, filename: fileName });
+    }
+
     // Create new issue
     const issue = new Issue({
       title,
@@ -60,12 +251,20 @@ exports.submitIssue = async (req, res) => {
       residentInfo,
       location: location || {},
       urgencyLevel: urgencyLevel || 5,
+      customFields: customFieldValues,
+      images: issueImages,
+      adminId: society.adminId,
       targetAdminId: targetAdmin ? targetAdmin._id : null,
       adminCode: adminCode ? adminCode.toUpperCase() : null
     });
 
+    // Only the hash is stored - this response is the resident's one chance to see the token
+    const trackingToken = issue.generateTrackingToken();
+    await slaService.applyToIssue(issue);
     await issue.save();
 
+    await notificationService.notifyResident(issue, 'issueSubmitted', { trackingToken });
+
     // Populate society information for response
     await issue.populate('societyId', 'name address');
 
@@ -73,10 +272,20 @@ exports.submitIssue = async (req, res) => {
       status: 'success',
       data: {
         issue,
-        message: 'Issue submitted successfully. You will be contacted once it is reviewed.'
+        referenceNumber: issue.referenceNumber,
+        trackingToken,
+        message: `Issue submitted successfully. Your reference number is ${issue.referenceNumber}. Keep your tracking token to check progress.`
       }
     });
   } catch (error) {
+    // Rejected photos (wrong type, unreadable image)
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Submit issue error:', error);
     res.status(500).json({
       status: 'error',
@@ -85,6 +294,138 @@ exports.submitIssue = async (req, res) => {
   }
 };
 
+// Get a signed URL for uploading an issue photo (public endpoint, tied to an admin link)
+exports.getIssuePhotoUploadUrl = async (req, res) => {
+  try {
+    const { adminCode, fileName, fileType } = req.body;
+
+    if (!adminCode || !fileName || !fileType) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'adminCode, fileName and fileType are required'
+      });
+    }
+
+    if (!ISSUE_PHOTO_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only JPEG, PNG, WebP, GIF and AVIF photos are allowed'
+      });
+    }
+
+    const admin = await User.findByAdminCode(adminCode);
+    if (!admin) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Admin not found or inactive'
+      });
+    }
+
+    if (!storageService.isConfigured()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Photo uploads are not available right now. Please submit the issue without photos.'
+      });
+    }
+
+    // Keep only safe characters from the resident's file name
+    const safeFileName = String(fileName).replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+
+    const uploadData = await storageService.generateSignedUploadUrl(
+      safeFileName,
+      600, // 10 minutes - long enough to finish the form
+      `issue-photos/${admin._id}`
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        uploadUrl: uploadData.signedUrl,
+        publicUrl: uploadData.publicUrl,
+        expiresAt: uploadData.expiresAt,
+        maxPhotos: MAX_ISSUE_PHOTOS,
+        instructions: {
+          method: uploadData.method,
+          contentType: fileType,
+          note: 'Upload the photo to uploadUrl, then include { "url": publicUrl, "filename": ... } in the images array when submitting the issue.'
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Issue photo upload URL error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Track an issue by reference number and tracking token (public endpoint for residents)
+exports.trackIssue = async (req, res) => {
+  try {
+    const { referenceNumber } = req.params;
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tracking token is required'
+      });
+    }
+
+    const issue = await Issue.findByTracking(referenceNumber, token)
+      .populate('societyId', 'name')
+      .populate('convertedTask.taskId', 'status scheduledDate actualStartTime verifiedAt isActive updatedAt');
+
+    // Same answer for unknown references and wrong tokens
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found. Check the reference number and tracking token.'
+      });
+    }
+
+    const task = issue.convertedTask?.taskId?.isActive ? issue.convertedTask.taskId : null;
+    const workStatus = task ? TASK_TRACKING_STATUS[task.status] || DEFAULT_TASK_TRACKING_STATUS : null;
+    let trackingStatus = ISSUE_TRACKING_STATUS[issue.status];
+    if (issue.status === 'ConvertedToTask') {
+      trackingStatus = workStatus || 'Approved';
+    }
+
+    // Only resident-safe fields: no internal notes, staff, costs or photos
+    res.json({
+      status: 'success',
+      data: {
+        referenceNumber: issue.referenceNumber,
+        title: issue.title,
+        category: issue.category,
+        society: issue.societyId?.name,
+        submittedAt: issue.createdAt,
+        lastUpdatedAt: task && task.updatedAt > issue.updatedAt ? task.updatedAt : issue.updatedAt,
+        status: trackingStatus,
+        statusMessage: TRACKING_STATUS_MESSAGES[trackingStatus],
+        review: issue.adminReview?.reviewedAt ? {
+          reviewedAt: issue.adminReview.reviewedAt,
+          notes: issue.adminReview.reviewNotes || null,
+          rejectionReason: issue.adminReview.rejectionReason || null
+        } : null,
+        work: task ? {
+          status: workStatus,
+          scheduledDate: task.scheduledDate,
+          startedAt: task.actualStartTime || null,
+          resolvedAt: task.status === 'Completed' ? task.verifiedAt : null
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Track issue error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Debug endpoint to check database status
 exports.getDbStatus = async (req, res) => {
   try {
@@ -118,7 +459,21 @@ exports.getDbStatus = async (req, res) => {
 exports.getSocietiesForForm = async (req, res) => {
   try {
     console.log('Fetching societies for form...');
-    const societies = await Society.find({ isActive: { $ne: false } })
+    const filter = { isActive: { $ne: false } };
+
+    // Only list the admin's own societies when the form was opened from an admin link
+    if (req.query.adminCode) {
+      const admin = await User.findByAdminCode(req.query.adminCode);
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found or inactive'
+        });
+      }
+      filter.adminId = admin._id;
+    }
+
+    const societies = await Society.find(filter)
       .select('name address')
       .sort('name');
     
@@ -139,20 +494,30 @@ exports.getSocietiesForForm = async (req, res) => {
 
 // Admin endpoints (authentication required)
 
+// Build the issue list filter and sort from the query - only issues owned by the current admin
+const buildIssueQuery = (req) => {
+  const { status, society, priority, reference, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+  const filter = { adminId: req.resourceAdminId };
+  if (reference) filter.referenceNumber = String(reference).trim().toUpperCase();
+  if (status) filter.status = status;
+  if (society) filter.societyId = society;
+  if (priority) filter.priority = priority;
+
+  return {
+    filter,
+    sortQuery: { [sortBy]: sortOrder === 'desc' ? -1 : 1 }
+  };
+};
+
 // Get all issues with filtering
 exports.getAllIssues = async (req, res) => {
   try {
-    const { status, society, priority, page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-
-    // Build filter query
-    const filter = {};
-    if (status) filter.status = status;
-    if (society) filter.societyId = society;
-    if (priority) filter.priority = priority;
+    const { page = 1, limit = 20 } = req.query;
+    const { filter, sortQuery } = buildIssueQuery(req);
 
     // Calculate pagination
     const skip = (page - 1) * limit;
-    const sortQuery = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
     // Get issues with populated references
     const issues = await Issue.find(filter)
@@ -188,12 +553,73 @@ exports.getAllIssues = async (req, res) => {
   }
 };
 
+// Export issues as CSV or XLSX (same filters as getAllIssues, no pagination)
+exports.exportIssues = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    if (!exportService.getFormats().includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const { filter, sortQuery } = buildIssueQuery(req);
+    const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+
+    const cursor = Issue.find(filter)
+      .populate('societyId', 'name')
+      .populate('adminReview.reviewedBy', 'firstName lastName')
+      .populate('convertedTask.taskId', 'title status')
+      .sort(sortQuery)
+      .cursor();
+
+    await exportService.streamExport(res, {
+      format,
+      fileName: 'issues',
+      sheetName: 'Issues',
+      cursor,
+      columns: [
+        { header: 'Issue ID', width: 26, value: issue => issue._id.toString() },
+        { header: 'Reference', value: issue => issue.referenceNumber },
+        { header: 'Title', width: 40, value: issue => issue.title },
+        { header: 'Description', width: 60, value: issue => issue.description },
+        { header: 'Category', value: issue => issue.category },
+        { header: 'Priority', value: issue => issue.priority },
+        { header: 'Urgency', value: issue => issue.urgencyLevel },
+        { header: 'Status', value: issue => issue.status },
+        { header: 'Society', width: 25, value: issue => issue.societyId?.name },
+        { header: 'Resident', width: 25, value: issue => issue.residentInfo?.name },
+        { header: 'Flat', value: issue => issue.residentInfo?.flatNumber },
+        { header: 'Phone', value: issue => issue.residentInfo?.phone },
+        { header: 'Email', width: 30, value: issue => issue.residentInfo?.email },
+        { header: 'Building', value: issue => issue.location?.building },
+        { header: 'Area', value: issue => issue.location?.area },
+        { header: 'Submitted At', value: issue => issue.createdAt },
+        { header: 'Age (days)', value: issue => issue.ageInDays },
+        { header: 'Reviewed By', width: 25, value: issue => personName(issue.adminReview?.reviewedBy) },
+        { header: 'Reviewed At', value: issue => issue.adminReview?.reviewedAt },
+        { header: 'Rejection Reason', width: 40, value: issue => issue.adminReview?.rejectionReason },
+        { header: 'Task', width: 40, value: issue => issue.convertedTask?.taskId?.title },
+        { header: 'Task Status', value: issue => issue.convertedTask?.taskId?.status }
+      ]
+    });
+  } catch (error) {
+    console.error('Export issues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get single issue by ID
 exports.getIssueById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const issue = await Issue.findById(id)
+    const issue = await Issue.findOne({ _id: id, adminId: req.resourceAdminId })
       .populate('societyId', 'name address contactInfo')
       .populate('adminReview.reviewedBy', 'firstName lastName email')
       .populate('convertedTask.taskId')
@@ -206,9 +632,10 @@ exports.getIssueById = async (req, res) => {
       });
     }
 
+    // Photos are private - hand out short-lived read URLs now that access is checked
     res.json({
       status: 'success',
-      data: issue
+      data: await storageService.signFileUrls(issue, ['images.url', 'images.thumbnailUrl', 'convertedTask.taskId.verificationPhotoUrl'])
     });
   } catch (error) {
     console.error('Get issue error:', error);
@@ -219,6 +646,37 @@ exports.getIssueById = async (req, res) => {
   }
 };
 
+// Issue a new tracking token (e.g. the resident lost theirs); the old token stops working
+exports.resetTrackingToken = async (req, res) => {
+  try {
+    const issue = await Issue.findOne({ _id: req.params.id, adminId: req.resourceAdminId });
+
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found'
+      });
+    }
+
+    const trackingToken = issue.generateTrackingToken();
+    await issue.save();
+
+    res.json({
+      status: 'success',
+      data: {
+        referenceNumber: issue.referenceNumber,
+        trackingToken
+      }
+    });
+  } catch (error) {
+    console.error('Reset tracking token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Review an issue (approve/reject)
 exports.reviewIssue = async (req, res) => {
   try {
@@ -235,7 +693,7 @@ exports.reviewIssue = async (req, res) => {
     }
 
     // Find the issue
-    const issue = await Issue.findById(id);
+    const issue = await Issue.findOne({ _id: id, adminId: req.resourceAdminId });
     if (!issue) {
       return res.status(404).json({
         status: 'error',
@@ -262,6 +720,8 @@ exports.reviewIssue = async (req, res) => {
 
     await issue.save();
 
+    await notificationService.notifyResident(issue, status === 'Approved' ? 'issueApproved' : 'issueRejected');
+
     // Populate for response
     await issue.populate('adminReview.reviewedBy', 'firstName lastName');
 
@@ -284,19 +744,31 @@ exports.reviewIssue = async (req, res) => {
 // Convert approved issue to task
 exports.convertToTask = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
     const {
       assetId,
       assignedManagerId,
+      vendorId,
+      requiresQuotation,
       scheduledDate,
       estimatedDuration,
       taskTitle,
-      taskDescription
+      taskDescription,
+      ignoreAvailability
     } = req.body;
     const adminId = req.user.id;
 
     // Find the issue
-    const issue = await Issue.findById(id);
+    const issue = await Issue.findOne({ _id: id, adminId: req.resourceAdminId });
     if (!issue) {
       return res.status(404).json({
         status: 'error',
@@ -320,8 +792,9 @@ exports.convertToTask = async (req, res) => {
       });
     }
 
-    // Validate asset exists and belongs to the same society
-    const asset = await Asset.findById(assetId);
+    // Validate asset exists, belongs to the current admin and to the same society
+    const asset = await Asset.findOne({ _id: assetId, adminId: req.resourceAdminId, isActive: true })
+      .populate('assetLibraryItemId', 'checklistTemplate category');
     if (!asset || asset.societyId.toString() !== issue.societyId.toString()) {
       return res.status(400).json({
         status: 'error',
@@ -329,15 +802,44 @@ exports.convertToTask = async (req, res) => {
       });
     }
 
-    // Validate manager exists
-    const manager = await User.findById(assignedManagerId);
-    if (!manager || manager.role !== 'Manager') {
+    // Validate manager exists and belongs to the current admin
+    const manager = await User.findOne({
+      _id: assignedManagerId,
+      role: 'Manager',
+      adminId: req.resourceAdminId,
+      isActive: true
+    });
+    if (!manager) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid manager'
       });
     }
 
+    // Check the manager covers the society and isn't on leave (admins can override)
+    const availability = managerAssignmentService.checkAvailability(manager, {
+      societyId: issue.societyId,
+      scheduledDate: new Date(scheduledDate || Date.now())
+    });
+    if (availability.errors.length > 0 && ignoreAvailability !== true) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Manager is not available for this task. Send ignoreAvailability to assign anyway.',
+        errors: availability.errors
+      });
+    }
+
+    // Validate vendor (optional) belongs to the current admin
+    if (vendorId) {
+      const vendor = await Vendor.findOne({ _id: vendorId, adminId: req.resourceAdminId, isActive: true });
+      if (!vendor) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid vendor'
+        });
+      }
+    }
+
     // Create task
     const taskData = {
       title: taskTitle || issue.title,
@@ -347,17 +849,46 @@ exports.convertToTask = async (req, res) => {
       societyId: issue.societyId,
       adminId,
       assignedManagerId,
+      vendorId: vendorId || undefined,
+      requiresQuotation: Boolean(requiresQuotation),
+      status: requiresQuotation ? 'QuotationPhase' : 'Pending',
       scheduledDate: scheduledDate || new Date(),
       estimatedDuration: estimatedDuration || 60,
+      origin: 'Issue',
       issueRef: {
         issueId: issue._id,
         residentInfo: issue.residentInfo
-      }
+      },
+      checklist: asset.assetLibraryItemId ? asset.assetLibraryItemId.buildTaskChecklist() : [],
+      // The resident's photos become the task's "before" evidence. Storage paths are not
+      // copied, so removing the attachment from the task never deletes the issue's photo.
+      attachments: issue.images.filter(image => image.url).map(image => ({
+        type: 'before',
+        url: image.url,
+        fileName: image.filename,
+        mimeType: image.mimeType,
+        size: image.size,
+        thumbnailUrl: image.thumbnailUrl,
+        width: image.width,
+        height: image.height,
+        metadata: image.metadata,
+        caption: 'Photo from resident report',
+        uploadedAt: image.uploadedAt || issue.createdAt
+      }))
     };
 
     const task = new Task(taskData);
+    await slaService.applyToTask(task, { category: asset.assetLibraryItemId?.category });
     await task.save();
 
+    await taskHistoryService.record(task, {
+      action: 'Created',
+      actor: req.user,
+      notes: `Converted from resident issue: ${issue.title}`
+    });
+
+    await notificationService.notifyStaff([task.assignedManagerId], 'TaskAssigned', task, req.user);
+
     // Update issue status
     issue.status = 'ConvertedToTask';
     issue.convertedTask = {
@@ -367,6 +898,8 @@ exports.convertToTask = async (req, res) => {
     };
     await issue.save();
 
+    await notificationService.notifyResident(issue, 'issueConverted', { task });
+
     // Populate task for response
     await task.populate([
       { path: 'assetId', select: 'name category location' },
@@ -379,6 +912,7 @@ exports.convertToTask = async (req, res) => {
       data: {
         task,
         issue,
+        warnings: [...(ignoreAvailability === true ? availability.errors : []), ...availability.warnings],
         message: 'Issue converted to task successfully'
       }
     });
@@ -394,7 +928,10 @@ exports.convertToTask = async (req, res) => {
 // Get issue statistics for dashboard
 exports.getIssueStats = async (req, res) => {
   try {
+    const adminFilter = { adminId: new mongoose.Types.ObjectId(req.resourceAdminId) };
+
     const stats = await Issue.aggregate([
+      { $match: adminFilter },
       {
         $group: {
           _id: '$status',
@@ -405,7 +942,7 @@ exports.getIssueStats = async (req, res) => {
 
     const priorityStats = await Issue.aggregate([
       {
-        $match: { status: { $in: ['Submitted', 'UnderReview', 'Approved'] } }
+        $match: { ...adminFilter, status: { $in: ['Submitted', 'UnderReview', 'Approved'] } }
       },
       {
         $group: {
@@ -416,6 +953,7 @@ exports.getIssueStats = async (req, res) => {
     ]);
 
     const categoryStats = await Issue.aggregate([
+      { $match: adminFilter },
       {
         $group: {
           _id: '$category',
@@ -426,6 +964,7 @@ exports.getIssueStats = async (req, res) => {
 
     // Get recent issues (last 7 days)
     const recentIssues = await Issue.countDocuments({
+      ...adminFilter,
       createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
     });
 
@@ -436,7 +975,7 @@ exports.getIssueStats = async (req, res) => {
         priorityStats,
         categoryStats,
         recentIssues,
-        totalIssues: await Issue.countDocuments()
+        totalIssues: await Issue.countDocuments(adminFilter)
       }
     });
   } catch (error) {
@@ -0,0 +1,43 @@
+const { validationResult } = require('express-validator');
+const jobService = require('../services/jobService');
+
+/**
+ * @desc    Queue due recurring jobs and run due jobs (called by an external cron)
+ * @route   GET|POST /api/jobs/tick
+ * @access  Job tick secret
+ */
+const tick = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Stay inside the serverless function's time limit; unfinished jobs wait for the next tick
+    const maxSeconds = parseInt(process.env.JOB_TICK_MAX_SECONDS) || 20;
+
+    const { scheduled, jobs } = await jobService.tick({
+      maxJobs: req.query.limit ? parseInt(req.query.limit) : undefined,
+      maxDurationMs: maxSeconds * 1000
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        scheduled,
+        jobs,
+        count: jobs.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  tick
+};
@@ -0,0 +1,91 @@
+const { validationResult } = require('express-validator');
+const maintenanceSchedulerService = require('../services/maintenanceSchedulerService');
+
+/**
+ * @desc    Preview assets due for preventive maintenance
+ * @route   GET /api/maintenance-schedule/due
+ * @access  Private (Admin)
+ */
+const getDueAssets = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lookaheadDays } = req.query;
+
+    const dueAssets = await maintenanceSchedulerService.findDueAssets({
+      adminId: req.user.id,
+      lookaheadDays: lookaheadDays !== undefined ? parseInt(lookaheadDays) : undefined
+    });
+
+    const assets = dueAssets.map(({ asset, dueDate }) => ({
+      assetId: asset._id,
+      name: asset.name,
+      societyId: asset.societyId,
+      assetLibraryItem: asset.assetLibraryItemId.name,
+      frequency: asset.assetLibraryItemId.maintenanceFrequency,
+      lastMaintenanceDate: asset.lastMaintenanceDate,
+      dueDate
+    }));
+
+    res.json({
+      status: 'success',
+      data: {
+        assets,
+        count: assets.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Generate preventive maintenance tasks for the current admin's due assets
+ * @route   POST /api/maintenance-schedule/run
+ * @access  Private (Admin)
+ */
+const runScheduler = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lookaheadDays, dryRun = false } = req.body;
+
+    const result = await maintenanceSchedulerService.generateDueTasks({
+      adminId: req.user.id,
+      lookaheadDays,
+      dryRun
+    });
+
+    res.json({
+      status: 'success',
+      message: dryRun
+        ? `${result.created.length} preventive task(s) would be created`
+        : `${result.created.length} preventive task(s) created`,
+      data: {
+        created: result.created,
+        skipped: result.skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDueAssets,
+  runScheduler
+};
@@ -1,6 +1,17 @@
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Asset = require('../models/Asset');
+const Society = require('../models/Society');
+const managerAnalyticsService = require('../services/managerAnalyticsService');
+const managerAssignmentService = require('../services/managerAssignmentService');
+
+// Helper function to check that societies belong to the current admin
+const areAdminSocieties = async (adminId, societyIds) => {
+  const uniqueIds = [...new Set(societyIds.map(String))];
+  const count = await Society.countDocuments({ _id: { $in: uniqueIds }, adminId, isActive: true });
+  return count === uniqueIds.length;
+};
 
 /**
  * @desc    Get all managers
@@ -97,7 +108,14 @@ const createManager = async (req, res, next) => {
       });
     }
 
-    const { email, password, firstName, lastName, phone } = req.body;
+    const { email, password, firstName, lastName, phone, skills, coveredSocietyIds, workingHours } = req.body;
+
+    if (coveredSocietyIds && !(await areAdminSocieties(req.user.id, coveredSocietyIds))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid society ID or society not found'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -119,6 +137,10 @@ const createManager = async (req, res, next) => {
       firstName,
       lastName,
       phone,
+      skills,
+      coveredSocietyIds,
+      workingHours: workingHours || undefined,
+      adminId: req.user.id, // Associate with current admin
       isActive: true
     });
 
@@ -136,6 +158,9 @@ const createManager = async (req, res, next) => {
           lastName: manager.lastName,
           fullName: manager.fullName,
           phone: manager.phone,
+          skills: manager.skills,
+          coveredSocietyIds: manager.coveredSocietyIds,
+          workingHours: manager.workingHours,
           isActive: manager.isActive,
           createdAt: manager.createdAt
         }
@@ -163,16 +188,28 @@ const updateManager = async (req, res, next) => {
       });
     }
 
-    const { firstName, lastName, phone, isActive } = req.body;
+    const { firstName, lastName, phone, skills, coveredSocietyIds, workingHours, isActive } = req.body;
+
+    if (coveredSocietyIds && !(await areAdminSocieties(req.user.id, coveredSocietyIds))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid society ID or society not found'
+      });
+    }
     
     const updateData = {};
     if (firstName !== undefined) updateData.firstName = firstName;
     if (lastName !== undefined) updateData.lastName = lastName;
     if (phone !== undefined) updateData.phone = phone;
+    if (skills !== undefined) updateData.skills = skills;
+    if (coveredSocietyIds !== undefined) updateData.coveredSocietyIds = coveredSocietyIds;
+    // workingHours: null removes the working week (any day)
+    if (workingHours === null) updateData.$unset = { workingHours: 1 };
+    else if (workingHours !== undefined) updateData.workingHours = workingHours;
     if (isActive !== undefined) updateData.isActive = isActive;
 
     const manager = await User.findOneAndUpdate(
-      { _id: req.params.id, role: 'Manager' },
+      { _id: req.params.id, role: 'Manager', adminId: req.user.id },
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
@@ -224,6 +261,89 @@ const deleteManager = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Add a leave period for a manager
+ * @route   POST /api/managers/:id/leave
+ * @access  Private (Admin only)
+ */
+const addLeave = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, reason } = req.body;
+
+    const manager = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'Manager', adminId: req.user.id },
+      { $push: { leave: { startDate, endDate, reason } } },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!manager) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Manager not found'
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Leave added successfully',
+      data: {
+        leave: manager.leave[manager.leave.length - 1],
+        manager
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a leave period
+ * @route   DELETE /api/managers/:id/leave/:leaveId
+ * @access  Private (Admin only)
+ */
+const removeLeave = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const manager = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'Manager', adminId: req.user.id, 'leave._id': req.params.leaveId },
+      { $pull: { leave: { _id: req.params.leaveId } } },
+      { new: true }
+    ).select('-password');
+
+    if (!manager) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Leave not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Leave removed successfully',
+      data: { manager }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Reset manager password
  * @route   POST /api/managers/:id/reset-password
@@ -272,8 +392,11 @@ const resetManagerPassword = async (req, res, next) => {
  */
 const getManagerStats = async (req, res, next) => {
   try {
-    const totalManagers = await User.countDocuments({ role: 'Manager' });
-    const activeManagers = await User.countDocuments({ role: 'Manager', isActive: true });
+    // Only count the current admin's managers
+    const managerFilter = { role: 'Manager', adminId: req.user.id };
+
+    const totalManagers = await User.countDocuments(managerFilter);
+    const activeManagers = await User.countDocuments({ ...managerFilter, isActive: true });
     const inactiveManagers = totalManagers - activeManagers;
 
     // Get managers by creation date (last 6 months)
@@ -281,7 +404,7 @@ const getManagerStats = async (req, res, next) => {
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
     const recentManagers = await User.find({
-      role: 'Manager',
+      ...managerFilter,
       createdAt: { $gte: sixMonthsAgo }
     }).select('firstName lastName createdAt').sort({ createdAt: -1 }).limit(5);
 
@@ -299,6 +422,110 @@ const getManagerStats = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get workload and performance per manager over a date range
+ * @route   GET /api/managers/performance
+ * @access  Private (Admin only)
+ */
+const getManagerPerformance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Default: the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from must be before to'
+      });
+    }
+
+    const report = await managerAnalyticsService.getPerformance(req.user.id, {
+      from,
+      to,
+      managerId: req.query.managerId
+    });
+
+    if (req.query.managerId && report.managers.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Manager not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rank managers for a new task on an asset
+ * @route   GET /api/managers/suggestions
+ * @access  Private (Admin only)
+ */
+const getAssignmentSuggestions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { assetId, societyId } = req.query;
+
+    const asset = await Asset.findOne({
+      _id: assetId,
+      adminId: req.user.id,
+      isActive: true
+    }).populate('assetLibraryItemId', 'category requiredSkills');
+
+    if (!asset) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Asset not found'
+      });
+    }
+
+    if (societyId && !asset.societyId.equals(societyId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Asset does not belong to this society'
+      });
+    }
+
+    const scheduledDate = req.query.scheduledDate ? new Date(req.query.scheduledDate) : new Date();
+    const suggestions = await managerAssignmentService.suggestManagers(req.user.id, { asset, scheduledDate });
+
+    res.json({
+      status: 'success',
+      data: {
+        suggestions,
+        count: suggestions.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getManagers,
   getManager,
@@ -306,5 +533,9 @@ module.exports = {
   updateManager,
   deleteManager,
   resetManagerPassword,
-  getManagerStats
+  getManagerStats,
+  getManagerPerformance,
+  getAssignmentSuggestions,
+  addLeave,
+  removeLeave
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * @desc    Get the current user's notifications (newest first)
+ * @route   GET /api/notifications
+ * @access  Private (Admin/Manager)
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('taskId', 'title status scheduledDate')
+        .populate('issueId', 'title status referenceNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user.id, readAt: null })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalNotifications / parseInt(limit)),
+          totalNotifications,
+          hasNext: skip + notifications.length < totalNotifications,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification read or unread
+ * @route   PATCH /api/notifications/:id
+ * @access  Private (Admin/Manager)
+ */
+const updateNotification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const read = req.body.read !== false;
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      read ? { readAt: new Date() } : { $unset: { readAt: 1 } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private (Admin/Manager)
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      status: 'success',
+      message: 'All notifications marked as read',
+      data: {
+        updatedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private (Admin/Manager)
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.json({
+      status: 'success',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the current user's notification preferences
+ * @route   PATCH /api/notifications/preferences
+ * @access  Private (Admin/Manager)
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { 'notificationPreferences.email': req.body.email },
+      { new: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      status: 'success',
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  updateNotification,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,241 @@
+const { validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const Society = require('../models/Society');
+const slaService = require('../services/slaService');
+
+// Helper function to find another active policy for the same priority/category
+const findConflictingPolicy = (adminId, priority, category, excludeId) => {
+  const filter = {
+    adminId,
+    isActive: true,
+    priority: priority || null,
+    category: category || null
+  };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return SlaPolicy.findOne(filter);
+};
+
+/**
+ * @desc    Get the current admin's SLA policies
+ * @route   GET /api/sla/policies
+ * @access  Private (Admin)
+ */
+const getPolicies = async (req, res, next) => {
+  try {
+    const policies = await SlaPolicy.find({
+      adminId: req.resourceAdminId,
+      isActive: true
+    }).sort({ priority: 1, category: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        policies,
+        count: policies.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create SLA policy
+ * @route   POST /api/sla/policies
+ * @access  Private (Admin)
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Remove fields that shouldn't be set
+    const { adminId, isActive, ...policyData } = req.body;
+    const { priority, category } = policyData;
+
+    if (await findConflictingPolicy(req.resourceAdminId, priority, category)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An SLA policy for this priority and category already exists'
+      });
+    }
+
+    const policy = new SlaPolicy({
+      ...policyData,
+      priority: priority || null,
+      category: category || null,
+      adminId: req.resourceAdminId
+    });
+    await policy.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'SLA policy created successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update SLA policy (existing tasks and issues keep their due-by times)
+ * @route   PUT /api/sla/policies/:id
+ * @access  Private (Admin)
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Remove fields that shouldn't be updated
+    const { adminId, isActive, ...updateData } = req.body;
+
+    const policy = await SlaPolicy.findOne({
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'SLA policy not found'
+      });
+    }
+
+    policy.set(updateData);
+    if ('priority' in updateData) policy.priority = updateData.priority || null;
+    if ('category' in updateData) policy.category = updateData.category || null;
+
+    if (await findConflictingPolicy(req.resourceAdminId, policy.priority, policy.category, policy._id)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An SLA policy for this priority and category already exists'
+      });
+    }
+
+    await policy.save();
+
+    res.json({
+      status: 'success',
+      message: 'SLA policy updated successfully',
+      data: {
+        policy
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete SLA policy (soft delete)
+ * @route   DELETE /api/sla/policies/:id
+ * @access  Private (Admin)
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        adminId: req.resourceAdminId,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'SLA policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get SLA compliance per society and manager
+ * @route   GET /api/sla/compliance
+ * @access  Private (Admin)
+ */
+const getComplianceReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { societyId } = req.query;
+
+    if (societyId) {
+      const society = await Society.findOne({ _id: societyId, adminId: req.resourceAdminId });
+      if (!society) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Society not found'
+        });
+      }
+    }
+
+    // Default: the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const report = await slaService.getComplianceReport(req.resourceAdminId, { from, to, societyId });
+
+    res.json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  getComplianceReport
+};
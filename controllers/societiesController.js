@@ -1,5 +1,8 @@
 const { validationResult } = require('express-validator');
 const Society = require('../models/Society');
+const User = require('../models/User');
+const budgetService = require('../services/budgetService');
+const bulkImportService = require('../services/bulkImportService');
 
 // Helper function to get admin ID based on user role
 const getAdminId = (user) => {
@@ -11,6 +14,17 @@ const getAdminId = (user) => {
   return null;
 };
 
+// Helper function to check a default manager belongs to the admin
+const isAdminManager = async (managerId, adminId) => {
+  const manager = await User.exists({
+    _id: managerId,
+    role: 'Manager',
+    adminId,
+    isActive: true
+  });
+  return Boolean(manager);
+};
+
 /**
  * @desc    Get all societies for the current admin
  * @route   GET /api/societies
@@ -92,6 +106,13 @@ const createSociety = async (req, res, next) => {
       });
     }
 
+    if (req.body.defaultManagerId && !(await isAdminManager(req.body.defaultManagerId, req.user.id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid default manager ID or manager not found'
+      });
+    }
+
     const societyData = {
       ...req.body,
       adminId: req.user.id
@@ -131,6 +152,13 @@ const updateSociety = async (req, res, next) => {
     // Remove fields that shouldn't be updated
     const { adminId, ...updateData } = req.body;
 
+    if (updateData.defaultManagerId && !(await isAdminManager(updateData.defaultManagerId, req.resourceAdminId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid default manager ID or manager not found'
+      });
+    }
+
     const society = await Society.findOneAndUpdate(
       {
         _id: req.params.id,
@@ -205,10 +233,120 @@ const deleteSociety = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get budget vs committed vs spent report for a society
+ * @route   GET /api/societies/:id/budget
+ * @access  Private (Admin)
+ */
+const getSocietyBudget = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const society = await Society.findOne({
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    });
+
+    if (!society) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Society not found'
+      });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+    const month = req.query.month ? parseInt(req.query.month) : undefined;
+
+    const report = await budgetService.getBudgetReport(society, { year, month });
+
+    res.json({
+      status: 'success',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Bulk import societies from a CSV/XLSX file
+ * @route   POST /api/societies/import
+ * @access  Private (Admin)
+ */
+const importSocieties = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rows = req.importRows;
+
+    // Same default manager check as createSociety, done once for the whole file
+    const managers = await User.find({ role: 'Manager', adminId: req.user.id, isActive: true }).select('_id');
+    const managerIds = new Set(managers.map(manager => manager._id.toString()));
+
+    rows.forEach(row => {
+      if (row.errors.length === 0 && row.data.defaultManagerId && !managerIds.has(row.data.defaultManagerId)) {
+        row.errors.push({ field: 'defaultManagerId', message: 'Invalid default manager ID or manager not found' });
+      }
+    });
+
+    const result = await bulkImportService.importRows(Society, rows, {
+      preview: req.query.preview === true,
+      toDocument: data => ({
+        ...data,
+        adminId: req.user.id
+      })
+    });
+
+    if (!result.summary.preview && result.summary.validRows === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No valid rows to import',
+        data: {
+          summary: result.summary,
+          errors: result.errors
+        }
+      });
+    }
+
+    res.status(result.summary.preview ? 200 : 201).json({
+      status: 'success',
+      message: result.summary.preview
+        ? 'Import preview generated'
+        : `${result.summary.created} societies imported successfully`,
+      data: {
+        summary: result.summary,
+        errors: result.errors,
+        societies: result.records
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getSocieties,
   getSocietyById,
   createSociety,
+  importSocieties,
   updateSociety,
-  deleteSociety
+  deleteSociety,
+  getSocietyBudget
 };
\ No newline at end of file
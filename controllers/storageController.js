@@ -0,0 +1,98 @@
+const storageService = require('../services/storageService');
+
+/**
+ * @desc    Receive a file sent to a signed upload URL (local storage driver)
+ * @route   PUT /api/storage/upload/:token
+ * @access  Public (the signed token is the authorization)
+ */
+const uploadToSignedUrl = async (req, res, next) => {
+  try {
+    if (storageService.getDriverName() !== 'local') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Uploads go directly to the storage provider'
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Send the file contents as the request body'
+      });
+    }
+
+    const uploadResult = await storageService.uploadWithToken(
+      req.params.token,
+      req.body,
+      req.get('Content-Type')
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'File uploaded successfully',
+      data: uploadResult
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Upload URL is invalid or has expired'
+      });
+    }
+
+    if (error.code === 'EEXIST') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A file has already been uploaded to this URL'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a file for a signed read URL (local storage driver)
+ * @route   GET /api/storage/files/:token
+ * @access  Public (the signed token is the authorization)
+ */
+const downloadFromSignedUrl = async (req, res, next) => {
+  try {
+    if (storageService.getDriverName() !== 'local') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Files are served directly by the storage provider'
+      });
+    }
+
+    const absolutePath = storageService.getFileForReadToken(req.params.token);
+
+    // Let frontends on other origins display the file (helmet defaults to same-origin),
+    // but don't let shared caches keep it past the signed URL's lifetime
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=300');
+
+    res.sendFile(absolutePath, { cacheControl: false }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          status: 'error',
+          message: 'File not found'
+        });
+      }
+    });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        status: 'error',
+        message: 'File URL is invalid or has expired'
+      });
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadToSignedUrl,
+  downloadFromSignedUrl
+};
@@ -1,9 +1,116 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const Asset = require('../models/Asset');
 const User = require('../models/User');
 const Society = require('../models/Society');
-const supabaseStorageService = require('../services/supabaseStorageService');
+const Vendor = require('../models/Vendor');
+const Issue = require('../models/Issue');
+const storageService = require('../services/storageService');
+const imageProcessingService = require('../services/imageProcessingService');
+const maintenanceSchedulerService = require('../services/maintenanceSchedulerService');
+const exportService = require('../services/exportService');
+const taskHistoryService = require('../services/taskHistoryService');
+const notificationService = require('../services/notificationService');
+const slaService = require('../services/slaService');
+const managerAssignmentService = require('../services/managerAssignmentService');
+
+// Helper function to record the actual cost of completed work on a task
+const recordActualCost = (task, actualCost, userId) => {
+  const { amount, currency, costType, paymentMethod, invoiceUrl } = actualCost;
+  task.actualCost = {
+    amount,
+    currency: currency || task.approvedQuotation?.currency || 'INR',
+    costType,
+    paymentMethod,
+    invoiceUrl,
+    recordedBy: userId,
+    recordedAt: new Date()
+  };
+};
+
+// Helper function to build the task list filter from the user's role and query filters
+const buildTaskFilter = (req) => {
+  const { status, priority, societyId, assetId, vendorId } = req.query;
+
+  let filter = {
+    isActive: true
+  };
+
+  // Filter based on user role
+  if (req.user.role === 'Admin') {
+    // Admins see tasks where they are the admin
+    filter.adminId = req.user.id;
+  } else if (req.user.role === 'Manager') {
+    // Managers can only see tasks assigned to them
+    filter.assignedManagerId = req.user.id;
+    // Managers should only see tasks from their admin (if adminId is set)
+    if (req.user.adminId) {
+      filter.adminId = req.user.adminId;
+    }
+  }
+
+  // Apply additional filters
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (societyId) filter.societyId = societyId;
+  if (assetId) filter.assetId = assetId;
+  if (vendorId) filter.vendorId = vendorId;
+
+  return filter;
+};
+
+// Task fields holding stored file URLs, signed for reading when a task is fetched
+const TASK_FILE_FIELDS = [
+  'verificationPhotoUrl',
+  'attachments.url',
+  'attachments.thumbnailUrl',
+  'submissions.photoUrl',
+  'quotations.attachmentUrl',
+  'actualCost.invoiceUrl'
+];
+
+// Task fields admins set directly when creating or editing a task (the rest come from the workflow)
+const EDITABLE_TASK_FIELDS = ['title', 'description', 'priority', 'scheduledDate', 'estimatedDuration', 'adminNotes'];
+
+// Helper function to copy the editable task fields sent in a request body
+const pickEditableTaskFields = (body) => Object.fromEntries(
+  EDITABLE_TASK_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Non-image attachment types, checked against the file contents
+const ATTACHMENT_FILE_TYPES = ['video/mp4', 'video/quicktime', 'video/webm', 'application/pdf'];
+
+// Storage folders of files uploaded through the task endpoints (file names start with the task id)
+const TASK_UPLOAD_FOLDERS = ['task-completions', 'task-attachments'];
+
+// Helper function to tell whether a storage path is a file uploaded for this task
+const isTaskUploadPath = (task, filePath) => {
+  const [folder, fileName, ...rest] = (filePath || '').split('/');
+  return TASK_UPLOAD_FOLDERS.includes(folder) && rest.length === 0 && Boolean(fileName?.startsWith(`${task._id}_`));
+};
+
+// Helper function to get the folder /upload-url stores a user's files in
+const getUserUploadFolder = (user) => `verification-photos/${user.role.toLowerCase()}-${user.id}`;
+
+// Helper function to tell whether a URL is a file uploaded for this task, or by the user through /upload-url
+const isOwnUploadUrl = (task, user, url) => {
+  const filePath = storageService.getFilePathFromUrl(url);
+  if (!filePath) return false;
+  const [folder, userFolder, fileName, ...rest] = filePath.split('/');
+  return isTaskUploadPath(task, filePath) ||
+    (`${folder}/${userFolder}` === getUserUploadFolder(user) && Boolean(fileName) && rest.length === 0);
+};
+
+// Helper function to tell whether a linked file (invoice, quotation) may be saved on a task:
+// links outside our storage are kept as they are, stored files must be the task's or the caller's uploads
+const isAllowedFileLink = (task, user, url) => !url || !storageService.isStorageUrl(url) || isOwnUploadUrl(task, user, url);
+
+// Helper function to tell whether an attachment is an image (by MIME type, or by extension for linked files)
+const isImageAttachment = (attachment) => {
+  if (attachment.mimeType) return attachment.mimeType.startsWith('image/');
+  return /\.(jpg|jpeg|png|gif|webp|bmp|heic)$/i.test(attachment.url.split('?')[0]);
+};
 
 /**
  * @desc    Get tasks (Admins see all their tasks, Managers see their assigned tasks)
@@ -21,30 +128,8 @@ const getTasks = async (req, res, next) => {
       });
     }
 
-    const { status, priority, societyId, assetId, page = 1, limit = 20 } = req.query;
-    
-    let filter = {
-      isActive: true
-    };
-
-    // Filter based on user role
-    if (req.user.role === 'Admin') {
-      // Admins see tasks where they are the admin
-      filter.adminId = req.user.id;
-    } else if (req.user.role === 'Manager') {
-      // Managers can only see tasks assigned to them
-      filter.assignedManagerId = req.user.id;
-      // Managers should only see tasks from their admin (if adminId is set)
-      if (req.user.adminId) {
-        filter.adminId = req.user.adminId;
-      }
-    }
-
-    // Apply additional filters
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (societyId) filter.societyId = societyId;
-    if (assetId) filter.assetId = assetId;
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = buildTaskFilter(req);
 
     console.log('getTasks filter:', {
       filter,
@@ -60,6 +145,7 @@ const getTasks = async (req, res, next) => {
       .populate('assetId', 'name location')
       .populate('societyId', 'name')
       .populate('assignedManagerId', 'firstName lastName email')
+      .populate('vendorId', 'companyName')
       .populate('verifiedBy', 'firstName lastName')
       .sort({ scheduledDate: 1, priority: -1 })
       .skip(skip)
@@ -85,6 +171,75 @@ const getTasks = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Export tasks as CSV or XLSX (same filters as GET /api/tasks, no pagination)
+ * @route   GET /api/tasks/export
+ * @access  Private (Admin/Manager)
+ */
+const exportTasks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const personName = person => (person ? `${person.firstName} ${person.lastName}` : '');
+
+    const cursor = Task.find(buildTaskFilter(req))
+      .populate('assetId', 'name location')
+      .populate('societyId', 'name')
+      .populate('assignedManagerId', 'firstName lastName email')
+      .populate('vendorId', 'companyName')
+      .populate('verifiedBy', 'firstName lastName')
+      .sort({ scheduledDate: 1, priority: -1 })
+      .cursor();
+
+    await exportService.streamExport(res, {
+      format: req.query.format || 'csv',
+      fileName: 'tasks',
+      sheetName: 'Tasks',
+      cursor,
+      columns: [
+        { header: 'Task ID', width: 26, value: task => task._id.toString() },
+        { header: 'Title', width: 40, value: task => task.title },
+        { header: 'Description', width: 60, value: task => task.description },
+        { header: 'Society', width: 25, value: task => task.societyId?.name },
+        { header: 'Asset', width: 25, value: task => task.assetId?.name },
+        { header: 'Building', value: task => task.assetId?.location?.building },
+        { header: 'Assigned Manager', width: 25, value: task => personName(task.assignedManagerId) },
+        { header: 'Manager Email', width: 30, value: task => task.assignedManagerId?.email },
+        { header: 'Vendor', width: 25, value: task => task.vendorId?.companyName },
+        { header: 'Status', value: task => task.status },
+        { header: 'Priority', value: task => task.priority },
+        { header: 'Origin', value: task => task.origin },
+        { header: 'Scheduled Date', value: task => task.scheduledDate },
+        { header: 'Estimated Duration (min)', value: task => task.estimatedDuration },
+        { header: 'Actual Start', value: task => task.actualStartTime },
+        { header: 'Actual End', value: task => task.actualEndTime },
+        { header: 'Actual Duration (min)', value: task => task.actualDuration },
+        { header: 'Overdue', value: task => (task.isOverdue ? 'Yes' : 'No') },
+        { header: 'Attempts', value: task => task.attemptCount },
+        { header: 'Rework Cycles', value: task => task.reworkCount },
+        { header: 'Approved Quotation', value: task => task.approvedQuotation?.amount },
+        { header: 'Actual Cost', value: task => task.actualCost?.amount },
+        { header: 'Cost Type', value: task => task.actualCost?.costType },
+        { header: 'Payment Method', value: task => task.actualCost?.paymentMethod },
+        { header: 'Verified By', width: 25, value: task => personName(task.verifiedBy) },
+        { header: 'Verified At', value: task => task.verifiedAt },
+        { header: 'Completion Notes', width: 40, value: task => task.completionNotes },
+        { header: 'Rejection Reason', width: 40, value: task => task.rejectionReason },
+        { header: 'Created At', value: task => task.createdAt }
+      ]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get task by ID
  * @route   GET /api/tasks/:id
@@ -123,6 +278,11 @@ const getTaskById = async (req, res, next) => {
       .populate('assetId', 'name location serialNumber')
       .populate('societyId', 'name address')
       .populate('assignedManagerId', 'firstName lastName email phone')
+      .populate('vendorId', 'companyName tradeCategories contacts')
+      .populate('quotations.vendorId', 'companyName')
+      .populate('attachments.uploadedBy', 'firstName lastName role')
+      .populate('submissions.submittedBy', 'firstName lastName')
+      .populate('submissions.reviewedBy', 'firstName lastName')
       .populate('verifiedBy', 'firstName lastName');
 
     if (!task) {
@@ -132,10 +292,71 @@ const getTaskById = async (req, res, next) => {
       });
     }
 
+    // Photos are private - hand out short-lived read URLs now that access is checked
     res.json({
       status: 'success',
       data: {
-        task
+        task: await storageService.signFileUrls(task, TASK_FILE_FIELDS)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get task status history and day-by-day timeline
+ * @route   GET /api/tasks/:id/history
+ * @access  Private (Admin/Manager)
+ */
+const getTaskHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let filter = {
+      _id: req.params.id,
+      isActive: true
+    };
+
+    // Filter based on user role
+    if (req.user.role === 'Admin') {
+      filter.adminId = req.user.id;
+    } else if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+      if (req.user.adminId) {
+        filter.adminId = req.user.adminId;
+      }
+    }
+
+    const task = await Task.findOne(filter).select('title status adminId');
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    const entries = await taskHistoryService.getHistory(task._id);
+    const history = await Promise.all(entries.map(entry => storageService.signFileUrls(entry, ['photoUrl'])));
+
+    res.json({
+      status: 'success',
+      data: {
+        task: {
+          id: task._id,
+          title: task.title,
+          status: task.status
+        },
+        history,
+        timeline: taskHistoryService.buildTimeline(task, history)
       }
     });
   } catch (error) {
@@ -143,6 +364,16 @@ const getTaskById = async (req, res, next) => {
   }
 };
 
+// Helper function to check a manager can take a task in a society on a date.
+// Blocking problems (not covering the society, on leave) are only warnings when ignoreAvailability is set.
+const checkManagerAvailability = (manager, { societyId, scheduledDate, ignoreAvailability }) => {
+  const { errors, warnings } = managerAssignmentService.checkAvailability(manager, { societyId, scheduledDate });
+  if (ignoreAvailability) {
+    return { errors: [], warnings: [...errors, ...warnings] };
+  }
+  return { errors, warnings };
+};
+
 /**
  * @desc    Create new task
  * @route   POST /api/tasks
@@ -159,14 +390,15 @@ const createTask = async (req, res, next) => {
       });
     }
 
-    const { assetId, assignedManagerId } = req.body;
+    const { assetId, vendorId, requiresQuotation, ignoreAvailability } = req.body;
+    let { assignedManagerId } = req.body;
 
     // Verify that asset belongs to current admin
     const asset = await Asset.findOne({
       _id: assetId,
       adminId: req.user.id,
       isActive: true
-    }).populate('societyId');
+    }).populate('societyId').populate('assetLibraryItemId', 'checklistTemplate category requiredSkills');
 
     if (!asset) {
       return res.status(400).json({
@@ -175,6 +407,24 @@ const createTask = async (req, res, next) => {
       });
     }
 
+    // Without a manager, assign the best-ranked available one
+    let autoAssignment;
+    if (!assignedManagerId) {
+      const suggestions = await managerAssignmentService.suggestManagers(req.user.id, {
+        asset,
+        scheduledDate: new Date(req.body.scheduledDate)
+      });
+      autoAssignment = suggestions.find(suggestion => suggestion.available);
+
+      if (!autoAssignment) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'No active manager available to assign. Please choose a manager.'
+        });
+      }
+      assignedManagerId = autoAssignment.managerId;
+    }
+
     // Verify that manager belongs to current admin
     const manager = await User.findOne({
       _id: assignedManagerId,
@@ -190,27 +440,73 @@ const createTask = async (req, res, next) => {
       });
     }
 
+    const availability = checkManagerAvailability(manager, {
+      societyId: asset.societyId._id,
+      scheduledDate: new Date(req.body.scheduledDate),
+      ignoreAvailability
+    });
+    if (availability.errors.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Manager is not available for this task. Send ignoreAvailability to assign anyway.',
+        errors: availability.errors
+      });
+    }
+
+    // Verify that vendor (if any) belongs to current admin
+    if (vendorId) {
+      const vendor = await Vendor.findOne({
+        _id: vendorId,
+        adminId: req.user.id,
+        isActive: true
+      });
+
+      if (!vendor) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid vendor ID or vendor not found'
+        });
+      }
+    }
+
     const taskData = {
-      ...req.body,
+      ...pickEditableTaskFields(req.body),
+      assetId,
+      vendorId,
+      requiresQuotation: Boolean(requiresQuotation),
+      assignedManagerId,
       adminId: req.user.id,
-      societyId: asset.societyId._id
+      societyId: asset.societyId._id,
+      // Tasks that need a quotation wait for an approved quote before work can start
+      status: requiresQuotation ? 'QuotationPhase' : 'Pending'
     };
 
+    // Each task gets its own copy of the asset type's checklist
+    taskData.checklist = asset.assetLibraryItemId ? asset.assetLibraryItemId.buildTaskChecklist() : [];
+
     const task = new Task(taskData);
+    await slaService.applyToTask(task, { category: asset.assetLibraryItemId?.category });
     await task.save();
 
+    await taskHistoryService.record(task, { action: 'Created', actor: req.user });
+
+    await notificationService.notifyStaff([task.assignedManagerId], 'TaskAssigned', task, req.user);
+
     // Populate the task before returning
     await task.populate([
       { path: 'assetId', select: 'name location' },
       { path: 'societyId', select: 'name' },
-      { path: 'assignedManagerId', select: 'firstName lastName email' }
+      { path: 'assignedManagerId', select: 'firstName lastName email' },
+      { path: 'vendorId', select: 'companyName' }
     ]);
 
     res.status(201).json({
       status: 'success',
-      message: 'Task created successfully',
+      message: autoAssignment ? `Task created and assigned to ${autoAssignment.managerName}` : 'Task created successfully',
       data: {
-        task
+        task,
+        autoAssignment,
+        warnings: availability.warnings
       }
     });
   } catch (error) {
@@ -234,11 +530,13 @@ const updateTask = async (req, res, next) => {
       });
     }
 
-    const { assignedManagerId, ...updateData } = req.body;
+    const { assignedManagerId, vendorId, ignoreAvailability } = req.body;
+    const updateData = pickEditableTaskFields(req.body);
 
     // If updating assigned manager, verify they belong to current admin
+    let manager;
     if (assignedManagerId) {
-      const manager = await User.findOne({
+      manager = await User.findOne({
         _id: assignedManagerId,
         role: 'Manager',
         adminId: req.user.id,
@@ -254,12 +552,60 @@ const updateTask = async (req, res, next) => {
       updateData.assignedManagerId = assignedManagerId;
     }
 
-    const task = await Task.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        adminId: req.resourceAdminId,
+    // vendorId: null detaches the vendor; otherwise verify it belongs to current admin
+    if (vendorId === null) {
+      updateData.$unset = { vendorId: 1 };
+    } else if (vendorId) {
+      const vendor = await Vendor.findOne({
+        _id: vendorId,
+        adminId: req.user.id,
         isActive: true
-      },
+      });
+
+      if (!vendor) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid vendor ID or vendor not found'
+        });
+      }
+      updateData.vendorId = vendorId;
+    }
+
+    const taskFilter = {
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    const previousTask = await Task.findOne(taskFilter);
+
+    if (!previousTask) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    // A new manager or date must suit the manager's coverage and leave
+    let availability = { errors: [], warnings: [] };
+    const assignee = manager || (updateData.scheduledDate && await User.findById(previousTask.assignedManagerId));
+    if (assignee) {
+      availability = checkManagerAvailability(assignee, {
+        societyId: previousTask.societyId,
+        scheduledDate: new Date(updateData.scheduledDate || previousTask.scheduledDate),
+        ignoreAvailability
+      });
+      if (availability.errors.length > 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Manager is not available for this task. Send ignoreAvailability to assign anyway.',
+          errors: availability.errors
+        });
+      }
+    }
+
+    const task = await Task.findOneAndUpdate(
+      taskFilter,
       updateData,
       {
         new: true,
@@ -268,7 +614,8 @@ const updateTask = async (req, res, next) => {
     )
     .populate('assetId', 'name location')
     .populate('societyId', 'name')
-    .populate('assignedManagerId', 'firstName lastName email');
+    .populate('assignedManagerId', 'firstName lastName email')
+    .populate('vendorId', 'companyName');
 
     if (!task) {
       return res.status(404).json({
@@ -277,11 +624,33 @@ const updateTask = async (req, res, next) => {
       });
     }
 
+    const changes = taskHistoryService.getChanges(previousTask, updateData);
+    if (changes.length > 0) {
+      await taskHistoryService.record(task, {
+        action: 'Updated',
+        fromStatus: previousTask.status,
+        actor: req.user,
+        notes: updateData.adminNotes,
+        changes
+      });
+    }
+
+    // New priority or schedule means new SLA targets
+    if (changes.some(change => ['priority', 'scheduledDate'].includes(change.field))) {
+      await slaService.applyToTask(task);
+      await task.save();
+    }
+
+    if (changes.some(change => change.field === 'assignedManagerId')) {
+      await notificationService.notifyStaff([task.assignedManagerId], 'TaskAssigned', task, req.user);
+    }
+
     res.json({
       status: 'success',
       message: 'Task updated successfully',
       data: {
-        task
+        task,
+        warnings: availability.warnings
       }
     });
   } catch (error) {
@@ -369,17 +738,39 @@ const startTask = async (req, res, next) => {
       });
     }
 
-    if (task.status !== 'Pending') {
+    if (['QuotationPhase', 'PendingApproval'].includes(task.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot start task until a quotation has been approved'
+      });
+    }
+
+    // Rejected tasks are restarted for rework
+    if (!['Pending', 'RequiresAttention'].includes(task.status)) {
       return res.status(400).json({
         status: 'error',
         message: `Cannot start task. Current status: ${task.status}`
       });
     }
 
+    const fromStatus = task.status;
+    const isRework = fromStatus === 'RequiresAttention';
+
     task.status = 'InProgress';
-    task.actualStartTime = new Date();
+    // Rework keeps the original start time so actualDuration covers every attempt
+    if (!isRework || !task.actualStartTime) {
+      task.actualStartTime = new Date();
+    }
+    task.actualEndTime = undefined;
     await task.save();
 
+    await taskHistoryService.record(task, {
+      action: isRework ? 'ReworkStarted' : 'Started',
+      fromStatus,
+      actor: req.user,
+      notes: isRework ? `Rework ${task.reworkCount}: ${task.rejectionReason || 'rejected at verification'}` : undefined
+    });
+
     await task.populate([
       { path: 'assetId', select: 'name location' },
       { path: 'societyId', select: 'name' },
@@ -388,7 +779,7 @@ const startTask = async (req, res, next) => {
 
     res.json({
       status: 'success',
-      message: 'Task started successfully',
+      message: isRework ? 'Task restarted for rework' : 'Task started successfully',
       data: {
         task
       }
@@ -399,11 +790,11 @@ const startTask = async (req, res, next) => {
 };
 
 /**
- * @desc    Submit task for verification with photo
- * @route   POST /api/tasks/:id/submit-for-verification
- * @access  Private (Manager - must be assigned to this task)
+ * @desc    Tick or untick a task checklist item, with an optional reading and notes
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
  */
-const submitForVerification = async (req, res, next) => {
+const updateChecklistItem = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -414,19 +805,17 @@ const submitForVerification = async (req, res, next) => {
       });
     }
 
-    const { photoUrl, completionNotes } = req.body;
+    const { isChecked, reading, notes } = req.body;
 
     let filter = {
       _id: req.params.id,
+      adminId: req.resourceAdminId,
       isActive: true
     };
 
-    // Both Admin and Manager can submit for verification, but Manager must be assigned
+    // Managers can only work on tasks assigned to them
     if (req.user.role === 'Manager') {
       filter.assignedManagerId = req.user.id;
-      // For managers, we only need to check assignment, not adminId since they can only see their assigned tasks
-    } else {
-      filter.adminId = req.resourceAdminId;
     }
 
     const task = await Task.findOne(filter);
@@ -441,35 +830,35 @@ const submitForVerification = async (req, res, next) => {
     if (task.status !== 'InProgress') {
       return res.status(400).json({
         status: 'error',
-        message: `Cannot submit for verification. Current status: ${task.status}`
+        message: `Checklist can only be updated while the task is in progress. Current status: ${task.status}`
       });
     }
 
-    // Validate that the photo URL is from Supabase (basic check)
-    if (!photoUrl.includes('supabase.co/storage/v1/object/public/')) {
-      return res.status(400).json({
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
         status: 'error',
-        message: 'Invalid photo URL. Must be a valid Supabase storage URL.'
+        message: 'Checklist item not found'
       });
     }
 
-    task.status = 'PendingVerification';
-    task.verificationPhotoUrl = photoUrl;
-    task.completionNotes = completionNotes;
-    task.actualEndTime = new Date();
-    await task.save();
+    if (isChecked !== undefined) {
+      item.isChecked = isChecked;
+      item.checkedBy = isChecked ? req.user.id : undefined;
+      item.checkedAt = isChecked ? new Date() : undefined;
+    }
+    if (reading !== undefined) item.reading = reading;
+    if (notes !== undefined) item.notes = notes;
 
-    await task.populate([
-      { path: 'assetId', select: 'name location' },
-      { path: 'societyId', select: 'name' },
-      { path: 'assignedManagerId', select: 'firstName lastName email' }
-    ]);
+    await task.save();
 
     res.json({
       status: 'success',
-      message: 'Task submitted for verification successfully',
+      message: 'Checklist item updated successfully',
       data: {
-        task
+        checklist: task.checklist,
+        pendingMandatoryItems: task.pendingMandatoryChecklistItems.length
       }
     });
   } catch (error) {
@@ -478,11 +867,11 @@ const submitForVerification = async (req, res, next) => {
 };
 
 /**
- * @desc    Verify task completion (Admin approves or rejects)
- * @route   POST /api/tasks/:id/verify
- * @access  Private (Admin)
+ * @desc    Submit task for verification with photo
+ * @route   POST /api/tasks/:id/submit-for-verification
+ * @access  Private (Manager - must be assigned to this task)
  */
-const verifyTask = async (req, res, next) => {
+const submitForVerification = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -493,63 +882,267 @@ const verifyTask = async (req, res, next) => {
       });
     }
 
-    const { action, verificationNotes, rejectionReason } = req.body;
+    const { photoUrl, completionNotes, actualCost } = req.body;
 
-    // Build filter for task lookup
     let filter = {
       _id: req.params.id,
       isActive: true
     };
 
-    // For task verification, only admins can verify tasks they own
-    if (req.user.role === 'Admin') {
-      filter.adminId = req.user.id;
+    // Both Admin and Manager can submit for verification, but Manager must be assigned
+    if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+      // For managers, we only need to check assignment, not adminId since they can only see their assigned tasks
     } else {
-      // Non-admins cannot verify tasks
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied. Only admins can verify tasks.'
-      });
+      filter.adminId = req.resourceAdminId;
     }
 
-    console.log('Task verification filter:', {
-      filter,
-      userId: req.user.id,
-      userRole: req.user.role,
-      resourceAdminId: req.resourceAdminId
-    });
-
     const task = await Task.findOne(filter);
 
     if (!task) {
       return res.status(404).json({
         status: 'error',
-        message: 'Task not found'
+        message: 'Task not found or not assigned to you'
       });
     }
 
-    if (task.status !== 'PendingVerification') {
+    if (task.status !== 'InProgress') {
       return res.status(400).json({
         status: 'error',
-        message: `Cannot verify task. Current status: ${task.status}`
+        message: `Cannot submit for verification. Current status: ${task.status}`
       });
     }
 
-    if (action === 'approve') {
-      task.status = 'Completed';
-      task.verificationNotes = verificationNotes;
-    } else if (action === 'reject') {
-      task.status = 'RequiresAttention';
-      task.rejectionReason = rejectionReason;
-      task.verificationNotes = verificationNotes;
-      // Clear the photo URL on rejection (optional - you might want to keep it)
-      // task.verificationPhotoUrl = null;
-    }
-
+    if (task.pendingMandatoryChecklistItems.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'All mandatory checklist items must be checked before submitting for verification',
+        data: {
+          pendingItems: task.pendingMandatoryChecklistItems.map(item => ({
+            id: item._id,
+            label: item.label
+          }))
+        }
+      });
+    }
+
+    // A photo URL sent with the submission is stored as an "after" attachment
+    // (photos from upload-photo are already attached)
+    if (photoUrl && !task.attachments.some(attachment => attachment.url === photoUrl)) {
+      if (!isOwnUploadUrl(task, req.user, photoUrl)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid photo URL. Must be a file uploaded for this task or through /upload-url.'
+        });
+      }
+
+      task.attachments.push({
+        type: 'after',
+        url: photoUrl,
+        uploadedBy: req.user.id,
+        uploadedAt: new Date()
+      });
+    }
+
+    // Each attempt needs at least one "after" image added since the last rejection
+    const lastRejection = [...task.submissions].reverse().find(submission => submission.outcome === 'Rejected');
+    const afterImages = task.attachments.filter(attachment =>
+      attachment.type === 'after' &&
+      isImageAttachment(attachment) &&
+      (!lastRejection || attachment.uploadedAt > lastRejection.reviewedAt)
+    );
+
+    if (afterImages.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: lastRejection
+          ? 'Add at least one new "after" photo before resubmitting for verification'
+          : 'At least one "after" photo is required to submit for verification'
+      });
+    }
+
+    const verificationPhotoUrl = afterImages[afterImages.length - 1].url;
+
+    if (actualCost && !isAllowedFileLink(task, req.user, actualCost.invoiceUrl)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid invoice URL. Files in our storage must be uploaded for this task or through /upload-url.'
+      });
+    }
+
+    const fromStatus = task.status;
+    task.attemptCount += 1;
+    task.submissions.push({
+      attempt: task.attemptCount,
+      photoUrl: verificationPhotoUrl,
+      completionNotes,
+      submittedBy: req.user.id,
+      submittedAt: new Date()
+    });
+
+    // The current photo/notes always reflect the latest attempt; earlier ones stay in submissions
+    task.status = 'PendingVerification';
+    task.verificationPhotoUrl = verificationPhotoUrl;
+    task.completionNotes = completionNotes;
+    task.rejectionReason = undefined;
+    task.actualEndTime = new Date();
+    if (actualCost) {
+      recordActualCost(task, actualCost, req.user.id);
+    }
+    await task.save();
+
+    await taskHistoryService.record(task, {
+      action: 'SubmittedForVerification',
+      fromStatus,
+      actor: req.user,
+      notes: task.attemptCount > 1 ? `Attempt ${task.attemptCount}${completionNotes ? `: ${completionNotes}` : ''}` : completionNotes,
+      photoUrl: verificationPhotoUrl
+    });
+
+    await notificationService.notifyStaff([task.adminId], 'TaskPendingVerification', task, req.user);
+
+    await task.populate([
+      { path: 'assetId', select: 'name location' },
+      { path: 'societyId', select: 'name' },
+      { path: 'assignedManagerId', select: 'firstName lastName email' }
+    ]);
+
+    res.json({
+      status: 'success',
+      message: 'Task submitted for verification successfully',
+      data: {
+        task
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify task completion (Admin approves or rejects)
+ * @route   POST /api/tasks/:id/verify
+ * @access  Private (Admin)
+ */
+const verifyTask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, verificationNotes, rejectionReason, actualCost } = req.body;
+
+    // Build filter for task lookup
+    let filter = {
+      _id: req.params.id,
+      isActive: true
+    };
+
+    // For task verification, only admins can verify tasks they own
+    if (req.user.role === 'Admin') {
+      filter.adminId = req.user.id;
+    } else {
+      // Non-admins cannot verify tasks
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Only admins can verify tasks.'
+      });
+    }
+
+    console.log('Task verification filter:', {
+      filter,
+      userId: req.user.id,
+      userRole: req.user.role,
+      resourceAdminId: req.resourceAdminId
+    });
+
+    const task = await Task.findOne(filter);
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    if (task.status !== 'PendingVerification') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot verify task. Current status: ${task.status}`
+      });
+    }
+
+    if (action === 'approve' && actualCost && !isAllowedFileLink(task, req.user, actualCost.invoiceUrl)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid invoice URL. Files in our storage must be uploaded for this task or through /upload-url.'
+      });
+    }
+
+    const fromStatus = task.status;
+
+    if (action === 'approve') {
+      task.status = 'Completed';
+      task.verificationNotes = verificationNotes;
+      if (actualCost) {
+        recordActualCost(task, actualCost, req.user.id);
+      }
+    } else if (action === 'reject') {
+      task.status = 'RequiresAttention';
+      task.rejectionReason = rejectionReason;
+      task.verificationNotes = verificationNotes;
+      task.reworkCount += 1;
+    }
+
     task.verifiedBy = req.user.id;
     task.verifiedAt = new Date();
+
+    // Record the outcome on the submission being reviewed
+    const submission = task.submissions[task.submissions.length - 1];
+    if (submission) {
+      submission.outcome = action === 'approve' ? 'Approved' : 'Rejected';
+      submission.reviewedBy = req.user.id;
+      submission.reviewedAt = task.verifiedAt;
+      submission.verificationNotes = verificationNotes;
+      submission.rejectionReason = rejectionReason;
+    }
     await task.save();
 
+    // The history keeps the rejected photo and reason even after the task is resubmitted
+    await taskHistoryService.record(task, {
+      action: action === 'approve' ? 'Approved' : 'Rejected',
+      fromStatus,
+      actor: req.user,
+      notes: [rejectionReason, verificationNotes].filter(Boolean).join('\n') || undefined,
+      photoUrl: task.verificationPhotoUrl
+    });
+
+    // Completed preventive tasks move the asset on to its next maintenance date
+    if (task.status === 'Completed') {
+      await maintenanceSchedulerService.recordCompletion(task);
+    }
+
+    if (task.status === 'RequiresAttention') {
+      await notificationService.notifyStaff([task.assignedManagerId], 'TaskRejected', task, req.user);
+    }
+
+    // The resident's issue is resolved once its task is verified; let them know
+    if (task.status === 'Completed' && task.issueRef?.issueId) {
+      const issue = await Issue.findById(task.issueRef.issueId);
+      if (issue) {
+        if (issue.sla.startedAt && !issue.sla.resolvedAt) {
+          issue.sla.resolvedAt = task.verifiedAt;
+          await issue.save();
+        }
+        await notificationService.notifyResident(issue, 'issueResolved', { task });
+      }
+    }
+
     await task.populate([
       { path: 'assetId', select: 'name location' },
       { path: 'societyId', select: 'name' },
@@ -576,6 +1169,15 @@ const verifyTask = async (req, res, next) => {
  */
 const getDashboardStats = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     let filter = {
       isActive: true
     };
@@ -593,6 +1195,11 @@ const getDashboardStats = async (req, res, next) => {
       }
     }
 
+    // Optional vendor filter (cast for aggregation pipelines)
+    if (req.query.vendorId) {
+      filter.vendorId = new mongoose.Types.ObjectId(req.query.vendorId);
+    }
+
     // Get task counts by status
     const taskStats = await Task.aggregate([
       { $match: filter },
@@ -612,6 +1219,19 @@ const getDashboardStats = async (req, res, next) => {
     };
     const overdueCount = await Task.countDocuments(overdueFilter);
 
+    // Get rework cycles (tasks rejected at verification and sent back)
+    const [reworkStats] = await Task.aggregate([
+      { $match: { ...filter, reworkCount: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          tasks: { $sum: 1 },
+          cycles: { $sum: '$reworkCount' },
+          maxCycles: { $max: '$reworkCount' }
+        }
+      }
+    ]);
+
     // Get priority distribution
     const priorityStats = await Task.aggregate([
       { $match: filter },
@@ -625,6 +1245,8 @@ const getDashboardStats = async (req, res, next) => {
 
     // Format the response
     const statusCounts = {
+      QuotationPhase: 0,
+      PendingApproval: 0,
       Pending: 0,
       InProgress: 0,
       PendingVerification: 0,
@@ -658,8 +1280,15 @@ const getDashboardStats = async (req, res, next) => {
           completedTasks: statusCounts.Completed,
           pendingTasks: statusCounts.Pending + statusCounts.InProgress,
           awaitingVerification: statusCounts.PendingVerification,
+          awaitingQuotation: statusCounts.QuotationPhase,
+          awaitingQuotationApproval: statusCounts.PendingApproval,
           requiresAttention: statusCounts.RequiresAttention
         },
+        rework: {
+          tasksReworked: reworkStats?.tasks || 0,
+          totalCycles: reworkStats?.cycles || 0,
+          maxCycles: reworkStats?.maxCycles || 0
+        },
         statusDistribution: statusCounts,
         priorityDistribution: priorityCounts
       }
@@ -669,6 +1298,229 @@ const getDashboardStats = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Add a vendor quotation to a task
+ * @route   POST /api/tasks/:id/quotations
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+const addQuotation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vendorId, amount, currency, attachmentUrl, notes } = req.body;
+
+    let filter = {
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    // Managers can only add quotations to tasks assigned to them
+    if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+    }
+
+    const task = await Task.findOne(filter);
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found or not assigned to you'
+      });
+    }
+
+    if (!['QuotationPhase', 'PendingApproval'].includes(task.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot add quotation. Current status: ${task.status}`
+      });
+    }
+
+    const vendor = await Vendor.findOne({
+      _id: vendorId,
+      adminId: req.resourceAdminId,
+      isActive: true
+    });
+
+    if (!vendor) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid vendor ID or vendor not found'
+      });
+    }
+
+    if (!isAllowedFileLink(task, req.user, attachmentUrl)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid quotation attachment URL. Files in our storage must be uploaded for this task or through /upload-url.'
+      });
+    }
+
+    task.quotations.push({
+      vendorId,
+      amount,
+      currency,
+      attachmentUrl,
+      notes,
+      submittedBy: req.user.id,
+      submittedAt: new Date()
+    });
+
+    // The first quotation puts the task in front of the admin for approval
+    const fromStatus = task.status;
+    task.status = 'PendingApproval';
+    await task.save();
+
+    await taskHistoryService.record(task, {
+      action: 'QuotationSubmitted',
+      fromStatus,
+      actor: req.user,
+      notes: `Quotation of ${amount} ${currency || 'INR'} from ${vendor.companyName}`
+    });
+
+    await task.populate([
+      { path: 'assetId', select: 'name location' },
+      { path: 'societyId', select: 'name' },
+      { path: 'assignedManagerId', select: 'firstName lastName email' },
+      { path: 'quotations.vendorId', select: 'companyName' }
+    ]);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Quotation added successfully',
+      data: {
+        task
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a task quotation
+ * @route   POST /api/tasks/:id/quotations/:quotationId/review
+ * @access  Private (Admin)
+ */
+const reviewQuotation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, rejectionReason } = req.body;
+
+    const task = await Task.findOne({
+      _id: req.params.id,
+      adminId: req.user.id,
+      isActive: true
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    if (task.status !== 'PendingApproval') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot review quotation. Current status: ${task.status}`
+      });
+    }
+
+    const quotation = task.quotations.id(req.params.quotationId);
+
+    if (!quotation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.status !== 'Submitted') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Quotation has already been ${quotation.status.toLowerCase()}`
+      });
+    }
+
+    const reviewedAt = new Date();
+    const fromStatus = task.status;
+
+    if (action === 'approve') {
+      quotation.status = 'Approved';
+
+      // Approving one quotation closes out the competing ones
+      task.quotations.forEach(other => {
+        if (other.status === 'Submitted') {
+          other.status = 'Rejected';
+          other.rejectionReason = 'Another quotation was approved';
+          other.reviewedBy = req.user.id;
+          other.reviewedAt = reviewedAt;
+        }
+      });
+
+      // Work goes to the approved vendor and can now start
+      task.vendorId = quotation.vendorId;
+      task.status = 'Pending';
+    } else {
+      quotation.status = 'Rejected';
+      quotation.rejectionReason = rejectionReason;
+
+      // With nothing left to approve, the task goes back to collecting quotations
+      const hasOpenQuotations = task.quotations.some(other => other.status === 'Submitted');
+      if (!hasOpenQuotations) {
+        task.status = 'QuotationPhase';
+      }
+    }
+
+    quotation.reviewedBy = req.user.id;
+    quotation.reviewedAt = reviewedAt;
+    await task.save();
+
+    await taskHistoryService.record(task, {
+      action: 'QuotationReviewed',
+      fromStatus,
+      actor: req.user,
+      notes: action === 'approve'
+        ? `Quotation of ${quotation.amount} ${quotation.currency} approved`
+        : `Quotation of ${quotation.amount} ${quotation.currency} rejected: ${rejectionReason}`
+    });
+
+    await task.populate([
+      { path: 'assetId', select: 'name location' },
+      { path: 'societyId', select: 'name' },
+      { path: 'assignedManagerId', select: 'firstName lastName email' },
+      { path: 'vendorId', select: 'companyName' },
+      { path: 'quotations.vendorId', select: 'companyName' }
+    ]);
+
+    res.json({
+      status: 'success',
+      message: `Quotation ${action}d successfully`,
+      data: {
+        task
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Generate signed URL for photo upload
  * @route   POST /api/tasks/upload-url
@@ -687,23 +1539,22 @@ const generateUploadUrl = async (req, res, next) => {
 
     const { fileName, fileType } = req.body;
 
-    // Check if Supabase is configured
-    if (!supabaseStorageService.isConfigured()) {
+    // Check if storage is configured
+    if (!storageService.isConfigured()) {
       return res.status(503).json({
         status: 'error',
         message: 'Storage service not configured. Please contact administrator.'
       });
     }
 
-    // Generate unique filename with user and timestamp
-    const timestamp = Date.now();
-    const userPrefix = `${req.user.role.toLowerCase()}-${req.user.id}`;
-    const uniqueFileName = `${userPrefix}-${timestamp}-${fileName}`;
+    // Keep only safe characters from the file name
+    const safeFileName = String(fileName).replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
 
-    // Generate signed upload URL
-    const uploadData = await supabaseStorageService.generateSignedUploadUrl(
-      uniqueFileName,
-      3600 // 1 hour expiry
+    // Files go in the user's own folder, so only they can attach them to a task
+    const uploadData = await storageService.generateSignedUploadUrl(
+      safeFileName,
+      3600, // 1 hour expiry
+      getUserUploadFolder(req.user)
     );
 
     res.json({
@@ -715,9 +1566,9 @@ const generateUploadUrl = async (req, res, next) => {
         filePath: uploadData.filePath,
         expiresAt: uploadData.expiresAt,
         instructions: {
-          method: 'POST',
+          method: uploadData.method,
           contentType: fileType,
-          note: 'Use the uploadUrl to POST the file directly to Supabase. After successful upload, use the publicUrl in the submit-for-verification endpoint.'
+          note: `Use the uploadUrl to ${uploadData.method} the file directly to storage. After successful upload, use the publicUrl in the submit-for-verification endpoint.`
         }
       }
     });
@@ -733,8 +1584,6 @@ const generateUploadUrl = async (req, res, next) => {
  */
 const uploadTaskPhoto = async (req, res, next) => {
   try {
-    const supabaseStorageService = require('../services/supabaseStorageService');
-    
     let filter = {
       _id: req.params.id,
       isActive: true
@@ -780,6 +1629,20 @@ const uploadTaskPhoto = async (req, res, next) => {
       });
     }
 
+    if (!storageService.isConfigured()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Storage service not configured. Please contact administrator.'
+      });
+    }
+
+    if (task.status === 'Completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Attachments cannot be changed on completed tasks'
+      });
+    }
+
     console.log('Received file for upload:', {
       originalname: req.file.originalname,
       mimetype: req.file.mimetype,
@@ -787,18 +1650,30 @@ const uploadTaskPhoto = async (req, res, next) => {
       fieldname: req.file.fieldname
     });
 
-    // Upload to Supabase
-    const uploadResult = await supabaseStorageService.uploadTaskPhoto(
-      req.file,
-      `${task._id}_${req.user.id}_${Date.now()}`
-    );
+    // Upload to storage (checked by content, resized, thumbnailed and EXIF-stripped)
+    const storedFile = await storageService.storeUpload(req.file, {
+      fileName: `${task._id}_${req.user.id}_${Date.now()}`,
+      folder: 'task-completions',
+      isAllowed: mimeType => imageProcessingService.isProcessableImage(mimeType)
+    });
+
+    // Keep the photo and its metadata as an "after" attachment for submit-for-verification
+    task.attachments.push({
+      type: 'after',
+      ...storedFile,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date()
+    });
+    await task.save();
 
     res.json({
       status: 'success',
       message: 'Photo uploaded successfully',
       data: {
-        photoUrl: uploadResult.publicUrl,
-        filePath: uploadResult.filePath
+        photoUrl: storedFile.url,
+        filePath: storedFile.filePath,
+        thumbnailUrl: storedFile.thumbnailUrl,
+        attachment: task.attachments[task.attachments.length - 1]
       }
     });
   } catch (error) {
@@ -806,16 +1681,268 @@ const uploadTaskPhoto = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Add an attachment (before/after photo, video, invoice, other) to a task
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+const addTaskAttachment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, url, caption } = req.body;
+
+    let filter = {
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    // Managers can only add evidence to tasks assigned to them
+    if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+    }
+
+    const task = await Task.findOne(filter);
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found or not assigned to you'
+      });
+    }
+
+    if (task.status === 'Completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Attachments cannot be changed on completed tasks'
+      });
+    }
+
+    if (!req.file && !url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Provide a file upload or the url of an already uploaded file'
+      });
+    }
+
+    let attachment = {
+      type,
+      caption,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date()
+    };
+
+    if (req.file) {
+      if (!storageService.isConfigured()) {
+        return res.status(503).json({
+          status: 'error',
+          message: 'Storage service not configured. Please contact administrator.'
+        });
+      }
+
+      const storedFile = await storageService.storeUpload(req.file, {
+        fileName: `${task._id}_${type}_${Date.now()}`,
+        folder: 'task-attachments',
+        isAllowed: mimeType => imageProcessingService.isProcessableImage(mimeType) || ATTACHMENT_FILE_TYPES.includes(mimeType)
+      });
+
+      attachment = { ...attachment, ...storedFile };
+    } else {
+      if (!isOwnUploadUrl(task, req.user, url)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid attachment URL. Must be a file uploaded for this task or through /upload-url.'
+        });
+      }
+
+      attachment.url = url;
+      // Only the task's own uploads are deleted with the attachment
+      const filePath = storageService.getFilePathFromUrl(url);
+      if (isTaskUploadPath(task, filePath)) {
+        attachment.filePath = filePath;
+      }
+    }
+
+    task.attachments.push(attachment);
+    await task.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Attachment added successfully',
+      data: {
+        attachment: task.attachments[task.attachments.length - 1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a task's attachments (optionally filtered by type)
+ * @route   GET /api/tasks/:id/attachments
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+const getTaskAttachments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let filter = {
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+    }
+
+    const task = await Task.findOne(filter)
+      .select('attachments')
+      .populate('attachments.uploadedBy', 'firstName lastName role');
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    const { attachments: signedAttachments } = await storageService.signFileUrls(task, ['attachments.url', 'attachments.thumbnailUrl']);
+    const attachments = req.query.type
+      ? signedAttachments.filter(attachment => attachment.type === req.query.type)
+      : signedAttachments;
+
+    res.json({
+      status: 'success',
+      data: {
+        attachments,
+        count: attachments.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove an attachment from a task
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @access  Private (Admin/Manager - Managers can only remove their own uploads)
+ */
+const removeTaskAttachment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let filter = {
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    if (req.user.role === 'Manager') {
+      filter.assignedManagerId = req.user.id;
+    }
+
+    const task = await Task.findOne(filter);
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found or not assigned to you'
+      });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attachment not found'
+      });
+    }
+
+    if (req.user.role === 'Manager' && attachment.uploadedBy?.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Managers can only remove attachments they uploaded'
+      });
+    }
+
+    // Evidence that has been submitted for review is kept for the audit trail
+    if (['PendingVerification', 'Completed'].includes(task.status) ||
+        task.submissions.some(submission => submission.photoUrl === attachment.url)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Attachments that have been submitted for verification cannot be removed'
+      });
+    }
+
+    // Never delete files the task didn't upload itself (e.g. linked issue photos)
+    const storedPaths = [attachment.filePath, attachment.thumbnailPath].filter(filePath => isTaskUploadPath(task, filePath));
+    attachment.deleteOne();
+    await task.save();
+
+    // Storage cleanup is best-effort; the attachment is already detached from the task
+    if (storageService.isConfigured()) {
+      for (const filePath of storedPaths) {
+        try {
+          await storageService.deleteFile(filePath);
+        } catch (storageError) {
+          console.error('Failed to delete attachment file:', storageError.message);
+        }
+      }
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Attachment removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getTasks,
+  exportTasks,
   getTaskById,
+  getTaskHistory,
   createTask,
   updateTask,
   deleteTask,
   startTask,
+  updateChecklistItem,
   submitForVerification,
   verifyTask,
+  addQuotation,
+  reviewQuotation,
   getDashboardStats,
   generateUploadUrl,
-  uploadTaskPhoto
+  uploadTaskPhoto,
+  addTaskAttachment,
+  getTaskAttachments,
+  removeTaskAttachment
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+const { validationResult } = require('express-validator');
+const Vendor = require('../models/Vendor');
+
+/**
+ * @desc    Get all vendors for the current admin
+ * @route   GET /api/vendors
+ * @access  Private (Admin)
+ */
+const getVendors = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, search } = req.query;
+
+    let filter = {
+      adminId: req.resourceAdminId,
+      isActive: true
+    };
+
+    if (category) {
+      filter.tradeCategories = category;
+    }
+
+    if (search) {
+      filter.$or = [
+        { companyName: { $regex: search, $options: 'i' } },
+        { 'contacts.name': { $regex: search, $options: 'i' } },
+        { 'contacts.email': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const vendors = await Vendor.find(filter)
+      .sort({ companyName: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        vendors,
+        count: vendors.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get vendor by ID
+ * @route   GET /api/vendors/:id
+ * @access  Private (Admin)
+ */
+const getVendorById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findOne({
+      _id: req.params.id,
+      adminId: req.resourceAdminId,
+      isActive: true
+    });
+
+    if (!vendor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vendor not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        vendor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create new vendor
+ * @route   POST /api/vendors
+ * @access  Private (Admin)
+ */
+const createVendor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendorData = {
+      ...req.body,
+      adminId: req.user.id
+    };
+
+    const vendor = new Vendor(vendorData);
+    await vendor.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Vendor created successfully',
+      data: {
+        vendor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update vendor
+ * @route   PUT /api/vendors/:id
+ * @access  Private (Admin)
+ */
+const updateVendor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Remove fields that shouldn't be updated
+    const { adminId, ...updateData } = req.body;
+
+    const vendor = await Vendor.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        adminId: req.resourceAdminId,
+        isActive: true
+      },
+      updateData,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!vendor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vendor not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Vendor updated successfully',
+      data: {
+        vendor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete vendor (soft delete)
+ * @route   DELETE /api/vendors/:id
+ * @access  Private (Admin)
+ */
+const deleteVendor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        adminId: req.resourceAdminId,
+        isActive: true
+      },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!vendor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vendor not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Vendor deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getVendors,
+  getVendorById,
+  createVendor,
+  updateVendor,
+  deleteVendor
+};
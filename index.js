@@ -16,6 +16,12 @@ const assetsRoutes = require('./routes/assets');
 const tasksRoutes = require('./routes/tasks');
 const issuesRoutes = require('./routes/issues');
 const adminLinksRoutes = require('./routes/adminLinks');
+const maintenanceScheduleRoutes = require('./routes/maintenanceSchedule');
+const vendorsRoutes = require('./routes/vendors');
+const notificationsRoutes = require('./routes/notifications');
+const slaRoutes = require('./routes/sla');
+const jobsRoutes = require('./routes/jobs');
+const storageRoutes = require('./routes/storage');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -135,6 +141,12 @@ app.use('/api/assets', assetsRoutes);
 app.use('/api/tasks', tasksRoutes);
 app.use('/api/issues', issuesRoutes);
 app.use('/api/admin-links', adminLinksRoutes);
+app.use('/api/maintenance-schedule', maintenanceScheduleRoutes);
+app.use('/api/vendors', vendorsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/storage', storageRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
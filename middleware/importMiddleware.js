@@ -0,0 +1,148 @@
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const spreadsheetService = require('../services/spreadsheetService');
+
+/**
+ * Bulk import middleware
+ * Parses an uploaded CSV/XLSX file into rows and validates every row with the
+ * same express-validator chains the single-record endpoints use.
+ */
+
+// Largest number of data rows accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (spreadsheetService.getFormat(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
+  }
+});
+
+/**
+ * Set a value on a nested object using a dotted path ("location.building", "budgets.0.year")
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let current = target;
+
+  keys.forEach((key, index) => {
+    if (index === keys.length - 1) {
+      current[key] = value;
+      return;
+    }
+    if (current[key] === undefined) {
+      current[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+};
+
+/**
+ * Accept a single spreadsheet upload (field "file") and parse it into req.importRows.
+ * Column headers are request body field names; nested fields use dotted headers
+ * (e.g. "location.building"). Other multipart form fields apply to every row
+ * unless the row has its own value.
+ */
+const parseImportFile = (req, res, next) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({
+          status: 'error',
+          message: uploadError.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A .csv or .xlsx file is required in the "file" field'
+        });
+      }
+
+      const worksheet = await spreadsheetService.loadWorksheet({
+        buffer: req.file.buffer,
+        format: spreadsheetService.getFormat(req.file.originalname)
+      });
+
+      const { preview, ...defaults } = req.body;
+      const toText = value => (value instanceof Date ? value.toISOString() : String(value).trim());
+      const rows = spreadsheetService.getRows(worksheet)
+        .filter(({ values }) => Object.values(values).some(value => toText(value) !== ''))
+        .map(({ rowNumber, values }) => {
+          const data = {};
+          Object.entries(defaults).forEach(([field, value]) => setPath(data, field, value));
+          Object.entries(values).forEach(([field, value]) => {
+            if (toText(value) !== '') {
+              setPath(data, field, toText(value));
+            }
+          });
+          return { rowNumber, data };
+        });
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The uploaded file has no data rows'
+        });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file`
+        });
+      }
+
+      req.importRows = rows;
+      next();
+    } catch (error) {
+      console.error('Import file parsing error:', error);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Could not read the uploaded file'
+      });
+    }
+  });
+};
+
+/**
+ * Run validation chains against every parsed row.
+ * Each row gets `errors` (array of { field, message }) and its sanitized `data`.
+ * @param {Array} validators - express-validator chains for the single-record endpoint
+ */
+const validateImportRows = (validators) => async (req, res, next) => {
+  try {
+    for (const row of req.importRows) {
+      const rowRequest = { body: row.data };
+      for (const validator of validators) {
+        await validator.run(rowRequest);
+      }
+
+      row.data = rowRequest.body;
+      row.errors = validationResult(rowRequest).array().map(error => ({
+        field: error.path,
+        message: error.msg
+      }));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  parseImportFile,
+  validateImportRows
+};
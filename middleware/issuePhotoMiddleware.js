@@ -0,0 +1,79 @@
+const multer = require('multer');
+
+/**
+ * Resident issue photo middleware
+ * Accepts photos with the public issue form (multipart field "photos") and
+ * parses the form's nested fields, which multipart sends as JSON text.
+ */
+
+// Most photos a resident can attach to one issue (uploads and signed-URL photos combined)
+const MAX_ISSUE_PHOTOS = 5;
+
+// Largest photo accepted from residents
+const MAX_ISSUE_PHOTO_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Photo types residents can upload (file contents are checked again before storing)
+const ISSUE_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Issue fields that hold objects/arrays
+const JSON_FIELDS = ['residentInfo', 'location', 'customFields', 'images'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ISSUE_PHOTO_SIZE,
+    files: MAX_ISSUE_PHOTOS
+  },
+  fileFilter: (req, file, cb) => {
+    if (ISSUE_PHOTO_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only JPEG, PNG, WebP, GIF and AVIF photos are allowed. Received: ${file.mimetype || 'unknown mimetype'}`), false);
+    }
+  }
+});
+
+// Upload errors shown to residents
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each photo must be ${MAX_ISSUE_PHOTO_SIZE / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: `You can attach up to ${MAX_ISSUE_PHOTOS} photos`,
+  LIMIT_UNEXPECTED_FILE: `Photos must be sent in the "photos" field (up to ${MAX_ISSUE_PHOTOS})`
+};
+
+/**
+ * Accept up to MAX_ISSUE_PHOTOS photos (field "photos") into req.files.
+ * JSON requests pass straight through.
+ */
+const parseIssuePhotos = (req, res, next) => {
+  upload.array('photos', MAX_ISSUE_PHOTOS)(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({
+        status: 'error',
+        message: UPLOAD_ERROR_MESSAGES[uploadError.code] || uploadError.message
+      });
+    }
+
+    // Multipart forms can send nested fields either with brackets (residentInfo[name])
+    // or as JSON text (residentInfo='{"name": ...}')
+    for (const field of JSON_FIELDS) {
+      if (typeof req.body[field] === 'string') {
+        try {
+          req.body[field] = JSON.parse(req.body[field]);
+        } catch (error) {
+          return res.status(400).json({
+            status: 'error',
+            message: `${field} must be valid JSON`
+          });
+        }
+      }
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  MAX_ISSUE_PHOTOS,
+  ISSUE_PHOTO_TYPES,
+  parseIssuePhotos
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * Job tick authentication middleware
+ * Only lets requests through that send the tick secret as a Bearer token
+ * (JOB_TICK_SECRET, or CRON_SECRET, which Vercel Cron sends automatically).
+ * The endpoint is disabled when neither is set.
+ */
+const requireJobSecret = (req, res, next) => {
+  const secret = process.env.JOB_TICK_SECRET || process.env.CRON_SECRET;
+
+  if (!secret) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Job tick endpoint is not configured. Set JOB_TICK_SECRET to enable it.'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  // Compare digests so the check takes the same time whatever the token
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(secret))) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid job tick secret.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireJobSecret
+};
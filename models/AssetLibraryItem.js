@@ -55,6 +55,27 @@ const assetLibraryItemSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Checklist copied onto every task created for assets of this type
+  checklistTemplate: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    isMandatory: {
+      type: Boolean,
+      default: true
+    },
+    // Unit for items that record a reading (e.g. "bar", "°C"); empty for plain tick items
+    readingUnit: {
+      type: String,
+      trim: true
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -68,4 +89,15 @@ assetLibraryItemSchema.index({ adminId: 1 });
 assetLibraryItemSchema.index({ category: 1, adminId: 1 });
 assetLibraryItemSchema.index({ name: 1, adminId: 1 });
 
+// Build a fresh (unticked) task checklist from the template
+assetLibraryItemSchema.methods.buildTaskChecklist = function() {
+  return (this.checklistTemplate || []).map(item => ({
+    templateItemId: item._id,
+    label: item.label,
+    description: item.description,
+    isMandatory: item.isMandatory,
+    readingUnit: item.readingUnit
+  }));
+};
+
 module.exports = mongoose.model('AssetLibraryItem', assetLibraryItemSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const issueSchema = new mongoose.Schema({
   title: {
@@ -28,6 +29,19 @@ const issueSchema = new mongoose.Schema({
     enum: ['Submitted', 'UnderReview', 'Approved', 'Rejected', 'ConvertedToTask'],
     default: 'Submitted'
   },
+  // Short reference residents quote when tracking or asking about their issue
+  referenceNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
+  // SHA-256 hash of the resident's secret tracking token (the token is only shown once, on submission)
+  trackingTokenHash: {
+    type: String,
+    select: false
+  },
   societyId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Society',
@@ -66,8 +80,51 @@ const issueSchema = new mongoose.Schema({
   // Images uploaded by resident
   images: [{
     url: String,
-    filename: String
+    filename: String,
+    // Storage path (photos uploaded or signed through the API)
+    filePath: String,
+    mimeType: String,
+    size: Number,
+    // Resized copy for list/review screens (photos uploaded with the form)
+    thumbnailUrl: String,
+    thumbnailPath: String,
+    width: Number,
+    height: Number,
+    // Read from the original photo's EXIF data, which is stripped from the stored copy
+    metadata: {
+      capturedAt: Date,
+      location: {
+        latitude: Number,
+        longitude: Number,
+        altitude: Number
+      },
+      camera: String,
+      originalFormat: String,
+      originalSize: Number
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Answers to the target admin's custom issue form fields
+  customFields: [{
+    name: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'select', 'textarea', 'checkbox']
+    },
+    value: mongoose.Schema.Types.Mixed
   }],
+  // Owning admin - the target admin if submitted via an admin link, otherwise the society's admin
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   // Target admin for this issue (if submitted via admin-specific link)
   targetAdminId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -100,6 +157,53 @@ const issueSchema = new mongoose.Schema({
     },
     convertedAt: Date
   },
+  // Service level targets from the admin's SLA policy (see services/slaService.js)
+  sla: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    // Category the policy was matched on
+    category: String,
+    // When the SLA clock started (submission)
+    startedAt: Date,
+    responseDueBy: Date,
+    resolutionDueBy: Date,
+    respondedAt: Date,
+    resolvedAt: Date,
+    // Set to the due time once a target is missed
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date,
+    // Escalation rules that have been applied (each rule fires once)
+    escalations: [{
+      _id: false,
+      ruleId: mongoose.Schema.Types.ObjectId,
+      condition: String,
+      actions: [String],
+      fromPriority: String,
+      toPriority: String,
+      escalatedAt: Date
+    }]
+  },
+  // Notifications sent to the resident about this issue
+  notifications: [{
+    event: {
+      type: String,
+      enum: ['issueSubmitted', 'issueApproved', 'issueRejected', 'issueConverted', 'issueResolved']
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'sms', 'whatsapp']
+    },
+    to: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    messageId: String,
+    error: String,
+    sentAt: Date
+  }],
   urgencyLevel: {
     type: Number,
     min: 1,
@@ -111,9 +215,83 @@ const issueSchema = new mongoose.Schema({
 });
 
 // Index for efficient queries
+issueSchema.index({ adminId: 1, status: 1 });
 issueSchema.index({ societyId: 1, status: 1 });
 issueSchema.index({ createdAt: -1 });
 issueSchema.index({ priority: 1, status: 1 });
+issueSchema.index({ adminId: 1, 'sla.startedAt': 1 });
+
+// Hash a tracking token for storage and lookup
+const hashTrackingToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to generate a unique reference number (e.g. ISS-7K3F9Q)
+issueSchema.statics.generateReferenceNumber = async function() {
+  // No 0/O or 1/I, so references can be read out over the phone
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let reference;
+  let exists = true;
+
+  while (exists) {
+    reference = 'ISS-';
+    for (let i = 0; i < 6; i++) {
+      reference += chars.charAt(crypto.randomInt(chars.length));
+    }
+
+    // Check if reference already exists
+    exists = await this.exists({ referenceNumber: reference });
+  }
+
+  return reference;
+};
+
+// Static method to find an issue by reference number and tracking token
+issueSchema.statics.findByTracking = function(referenceNumber, token) {
+  return this.findOne({
+    referenceNumber: String(referenceNumber).toUpperCase(),
+    trackingTokenHash: hashTrackingToken(token)
+  });
+};
+
+// Create a new secret tracking token; returns the token, only its hash is stored
+issueSchema.methods.generateTrackingToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  this.trackingTokenHash = hashTrackingToken(token);
+  return token;
+};
+
+// Pre-save middleware to give every issue a reference number
+issueSchema.pre('save', async function(next) {
+  if (!this.referenceNumber) {
+    try {
+      this.referenceNumber = await this.constructor.generateReferenceNumber();
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Record when SLA targets are met or missed: reviewing is the response, and a
+// rejection resolves the issue (converted issues are resolved when their task is verified)
+issueSchema.pre('save', function(next) {
+  const sla = this.sla;
+  if (!sla || !sla.startedAt) return next();
+
+  if (!sla.respondedAt && this.adminReview?.reviewedAt) {
+    sla.respondedAt = this.adminReview.reviewedAt;
+  }
+  if (!sla.resolvedAt && this.status === 'Rejected') {
+    sla.resolvedAt = this.adminReview?.reviewedAt || new Date();
+  }
+
+  if (sla.responseDueBy && !sla.responseBreachedAt && sla.respondedAt > sla.responseDueBy) {
+    sla.responseBreachedAt = sla.responseDueBy;
+  }
+  if (sla.resolutionDueBy && !sla.resolutionBreachedAt && sla.resolvedAt > sla.resolutionDueBy) {
+    sla.resolutionBreachedAt = sla.resolutionDueBy;
+  }
+  next();
+});
 
 // Virtual for issue age in days
 issueSchema.virtual('ageInDays').get(function() {
@@ -122,7 +300,11 @@ issueSchema.virtual('ageInDays').get(function() {
 
 // Ensure virtual fields are serialized
 issueSchema.set('toJSON', {
-  virtuals: true
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.trackingTokenHash;
+    return ret;
+  }
 });
 
 module.exports = mongoose.model('Issue', issueSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// How long finished jobs are kept before MongoDB removes them
+const JOB_RETENTION_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Background job (recurring or deferred), run by the job worker or the tick endpoint
+const jobSchema = new mongoose.Schema({
+  // Registered job name (see services/jobs/definitions.js)
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Running', 'Completed', 'Failed'],
+    default: 'Pending'
+  },
+  // Earliest time the job may run (pushed back between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Schedule slot a recurring job was created for
+  scheduledFor: Date,
+  // Prevents the same job being queued twice (recurring jobs use name@slot)
+  uniqueKey: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  // Set while a worker holds the job; locks older than the lock timeout are taken over
+  lockedAt: Date,
+  lockedBy: String,
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// In-app notification for a staff member (admin or manager)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Admin the notification's task or issue belongs to
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['TaskAssigned', 'TaskPendingVerification', 'TaskRejected', 'TaskOverdue', 'TaskEscalated', 'IssueEscalated']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Set instead of taskId for issue notifications
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  // Unset until the user marks it read
+  readAt: Date,
+  // Email copy, for users who opted in (notificationPreferences.email)
+  email: {
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped']
+    },
+    error: String,
+    sentAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
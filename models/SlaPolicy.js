@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const AssetLibraryItem = require('./AssetLibraryItem');
+
+// Policies are keyed on the same trades as asset library items (issue categories are a subset)
+const SLA_CATEGORIES = AssetLibraryItem.schema.path('category').enumValues;
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Leave priority or category empty to match any; the most specific policy wins
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical', null],
+    default: null
+  },
+  category: {
+    type: String,
+    enum: [...SLA_CATEGORIES, null],
+    default: null
+  },
+  // Hours from the start of the SLA clock until work must start (tasks) or the issue must be reviewed
+  responseTimeHours: {
+    type: Number,
+    min: 0
+  },
+  // Hours from the start of the SLA clock until the task must be completed or the issue resolved
+  resolutionTimeHours: {
+    type: Number,
+    min: 0
+  },
+  // Applied once each when a task or issue is still not started/resolved after afterHours
+  escalationRules: [{
+    condition: {
+      type: String,
+      enum: ['NotStarted', 'NotResolved'],
+      required: true
+    },
+    afterHours: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    actions: [{
+      type: String,
+      enum: ['NotifyAdmin', 'NotifyManager', 'BumpPriority']
+    }]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+slaPolicySchema.index({ adminId: 1, isActive: 1 });
+// One active policy per priority/category combination
+slaPolicySchema.index(
+  { adminId: 1, priority: 1, category: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -55,6 +55,46 @@ const societySchema = new mongoose.Schema({
       email: String
     }
   },
+  // Manager who receives scheduler-generated preventive maintenance tasks
+  defaultManagerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Maintenance budgets per period and asset category ('All' covers every category)
+  budgets: [{
+    period: {
+      type: String,
+      enum: ['Annual', 'Monthly'],
+      required: true
+    },
+    year: {
+      type: Number,
+      required: true,
+      min: 2000,
+      max: 2100
+    },
+    month: {
+      type: Number,
+      min: 1,
+      max: 12,
+      required: function() {
+        return this.period === 'Monthly';
+      }
+    },
+    category: {
+      type: String,
+      default: 'All'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    }
+  }],
   totalUnits: {
     type: Number,
     min: 1
@@ -31,6 +31,11 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // External contractor doing the work alongside the assigned manager
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
   priority: {
     type: String,
     enum: ['Low', 'Medium', 'High', 'Critical'],
@@ -38,9 +43,88 @@ const taskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'InProgress', 'PendingVerification', 'Completed', 'RequiresAttention'],
+    enum: ['QuotationPhase', 'PendingApproval', 'Pending', 'InProgress', 'PendingVerification', 'Completed', 'RequiresAttention'],
     default: 'Pending'
   },
+  // Whether work needs an approved quotation before it can start
+  requiresQuotation: {
+    type: Boolean,
+    default: false
+  },
+  quotations: [{
+    vendorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    attachmentUrl: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['Submitted', 'Approved', 'Rejected'],
+      default: 'Submitted'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true
+    }
+  }],
+  // Actual cost recorded when the work is completed
+  actualCost: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    costType: {
+      type: String,
+      enum: ['Operational', 'Maintenance', 'Capital', 'Not Applicable']
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['Bank', 'Cash', 'Cheque', 'UPI', 'Not Applicable']
+    },
+    invoiceUrl: {
+      type: String,
+      trim: true
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: Date
+  },
   scheduledDate: {
     type: Date,
     required: true
@@ -76,6 +160,174 @@ const taskSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Checklist copied from the asset library item's template when the task is created
+  checklist: [{
+    templateItemId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    isMandatory: {
+      type: Boolean,
+      default: true
+    },
+    readingUnit: {
+      type: String,
+      trim: true
+    },
+    isChecked: {
+      type: Boolean,
+      default: false
+    },
+    reading: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedAt: Date
+  }],
+  // Photos, videos and documents attached as evidence
+  attachments: [{
+    type: {
+      type: String,
+      enum: ['before', 'after', 'invoice', 'other'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Storage path (set when the file was uploaded through the API)
+    filePath: String,
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    // Resized copy for list/review screens (photos uploaded through the API)
+    thumbnailUrl: String,
+    thumbnailPath: String,
+    width: Number,
+    height: Number,
+    // Read from the original photo's EXIF data, which is stripped from the stored copy
+    metadata: {
+      capturedAt: Date,
+      location: {
+        latitude: Number,
+        longitude: Number,
+        altitude: Number
+      },
+      camera: String,
+      originalFormat: String,
+      originalSize: Number
+    },
+    caption: {
+      type: String,
+      trim: true
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Every submission for verification, kept across rework cycles
+  submissions: [{
+    attempt: {
+      type: Number,
+      required: true
+    },
+    photoUrl: {
+      type: String,
+      trim: true
+    },
+    completionNotes: {
+      type: String,
+      trim: true
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    outcome: {
+      type: String,
+      enum: ['PendingReview', 'Approved', 'Rejected'],
+      default: 'PendingReview'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    verificationNotes: String,
+    rejectionReason: String
+  }],
+  // Number of times the task has been submitted for verification
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of times the admin rejected the work and sent it back for rework
+  reworkCount: {
+    type: Number,
+    default: 0
+  },
+  // How the task came into existence
+  origin: {
+    type: String,
+    enum: ['Manual', 'Issue', 'Preventive'],
+    default: 'Manual'
+  },
+  // Preventive maintenance details for tasks generated by the scheduler
+  maintenanceSchedule: {
+    frequency: {
+      type: String,
+      enum: ['Daily', 'Weekly', 'Monthly', 'Quarterly', 'Annually']
+    },
+    dueDate: Date
+  },
+  // Source row for tasks imported from the legacy task register
+  importRef: {
+    source: String,
+    srNo: Number,
+    origin: String,
+    receivedVia: String,
+    area: String,
+    categoryNature: String,
+    type: { type: String },
+    daysGranted: Number,
+    daysTaken: Number,
+    delayDays: Number,
+    // Day-by-day status columns from the register
+    dailyStatus: [{
+      _id: false,
+      day: Number,
+      date: Date,
+      code: String,
+      status: String
+    }],
+    importedAt: Date
+  },
   // Reference to original issue if task was created from resident issue
   issueRef: {
     issueId: {
@@ -96,6 +348,38 @@ const taskSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date
   },
+  // Service level targets from the admin's SLA policy (see services/slaService.js)
+  sla: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy'
+    },
+    // Asset category the policy was matched on
+    category: String,
+    // When the SLA clock started (creation, or the scheduled date for work planned ahead)
+    startedAt: Date,
+    responseDueBy: Date,
+    resolutionDueBy: Date,
+    respondedAt: Date,
+    resolvedAt: Date,
+    // Set to the due time once a target is missed
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date,
+    // Escalation rules that have been applied (each rule fires once)
+    escalations: [{
+      _id: false,
+      ruleId: mongoose.Schema.Types.ObjectId,
+      condition: String,
+      actions: [String],
+      fromPriority: String,
+      toPriority: String,
+      escalatedAt: Date
+    }]
+  },
+  // scheduledDate that staff were last told is overdue (rescheduling re-arms the notification)
+  overdueNotifiedFor: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -109,9 +393,37 @@ taskSchema.index({ adminId: 1 });
 taskSchema.index({ assignedManagerId: 1 });
 taskSchema.index({ societyId: 1 });
 taskSchema.index({ assetId: 1 });
+taskSchema.index({ vendorId: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ scheduledDate: 1 });
+taskSchema.index({ adminId: 1, 'sla.startedAt': 1 });
 taskSchema.index({ priority: 1, status: 1 });
+taskSchema.index({ assetId: 1, origin: 1, status: 1 });
+taskSchema.index(
+  { adminId: 1, societyId: 1, 'importRef.source': 1, 'importRef.srNo': 1 },
+  { unique: true, partialFilterExpression: { 'importRef.srNo': { $exists: true } } }
+);
+
+// Record when SLA targets are met or missed as the task progresses
+taskSchema.pre('save', function(next) {
+  const sla = this.sla;
+  if (!sla || !sla.startedAt) return next();
+
+  if (!sla.respondedAt && this.actualStartTime) {
+    sla.respondedAt = this.actualStartTime;
+  }
+  if (!sla.resolvedAt && this.status === 'Completed') {
+    sla.resolvedAt = this.verifiedAt || new Date();
+  }
+
+  if (sla.responseDueBy && !sla.responseBreachedAt && sla.respondedAt > sla.responseDueBy) {
+    sla.responseBreachedAt = sla.responseDueBy;
+  }
+  if (sla.resolutionDueBy && !sla.resolutionBreachedAt && sla.resolvedAt > sla.resolutionDueBy) {
+    sla.resolutionBreachedAt = sla.resolutionDueBy;
+  }
+  next();
+});
 
 // Virtual for task duration in minutes
 taskSchema.virtual('actualDuration').get(function() {
@@ -127,6 +439,18 @@ taskSchema.virtual('isOverdue').get(function() {
   return new Date() > this.scheduledDate;
 });
 
+// Virtual for mandatory checklist items that still need ticking
+taskSchema.virtual('pendingMandatoryChecklistItems').get(function() {
+  if (!this.checklist) return [];
+  return this.checklist.filter(item => item.isMandatory && !item.isChecked);
+});
+
+// Virtual for the quotation the admin approved (if any)
+taskSchema.virtual('approvedQuotation').get(function() {
+  if (!this.quotations) return null;
+  return this.quotations.find(quotation => quotation.status === 'Approved') || null;
+});
+
 // Ensure virtual fields are serialized
 taskSchema.set('toJSON', { virtuals: true });
 
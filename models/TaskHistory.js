@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One entry per task status transition or tracked edit. Entries are append-only:
+// they are never updated or deleted once written.
+const taskHistorySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'Created',
+      'Imported',
+      'Started',
+      'ReworkStarted',
+      'SubmittedForVerification',
+      'Approved',
+      'Rejected',
+      'QuotationSubmitted',
+      'QuotationReviewed',
+      'Updated',
+      'Escalated'
+    ]
+  },
+  fromStatus: {
+    type: String
+  },
+  toStatus: {
+    type: String,
+    required: true
+  },
+  // Who made the change (empty for system changes such as imports)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['Admin', 'Manager', 'System']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  photoUrl: {
+    type: String,
+    trim: true
+  },
+  // Field-level changes for general edits
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // When the transition happened (differs from createdAt for imported history)
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+taskHistorySchema.index({ taskId: 1, occurredAt: 1 });
+taskHistorySchema.index({ adminId: 1, occurredAt: -1 });
+
+// History is immutable - block edits to saved entries and all update/delete queries
+taskHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Task history entries cannot be modified'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => {
+    taskHistorySchema.pre(operation, function(next) {
+      next(new Error('Task history entries cannot be modified'));
+    });
+  });
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Resident notification template: subject/body for email, message for SMS and WhatsApp
+const notificationTemplate = {
+  subject: String,
+  body: String,
+  message: String
+};
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -39,6 +46,44 @@ const userSchema = new mongoose.Schema({
       return this.role === 'Manager';
     }
   },
+  // What a manager can work on, matched against AssetLibraryItem.requiredSkills
+  skills: [{
+    type: String,
+    trim: true
+  }],
+  // Societies a manager covers (empty: any of their admin's societies)
+  coveredSocietyIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Society'
+  }],
+  // A manager's regular working week (unset: any day)
+  workingHours: {
+    // Days of the week, 0 = Sunday
+    days: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // "HH:mm"
+    startTime: String,
+    endTime: String
+  },
+  // Leave and other periods a manager can't be assigned work (both dates inclusive)
+  leave: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  }],
   // Unique admin code for generating custom issue submission links
   adminCode: {
     type: String,
@@ -80,6 +125,44 @@ const userSchema = new mongoose.Schema({
       }],
       welcomeMessage: String,
       thankYouMessage: String
+    },
+    maintenanceSettings: {
+      // Fallback assignee for preventive tasks when a society has no default manager
+      defaultManagerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // How many days ahead of the due date preventive tasks are generated
+      lookaheadDays: {
+        type: Number,
+        min: 0,
+        max: 30,
+        default: 3
+      }
+    },
+    // Resident notifications about their issues (see services/notificationService.js)
+    notificationSettings: {
+      // Channels residents are notified on, when their issue has an email/phone
+      residentChannels: {
+        email: Boolean,
+        sms: Boolean,
+        whatsapp: Boolean
+      },
+      // Custom wording per event; fields left blank use the default templates
+      templates: {
+        issueSubmitted: notificationTemplate,
+        issueApproved: notificationTemplate,
+        issueRejected: notificationTemplate,
+        issueConverted: notificationTemplate,
+        issueResolved: notificationTemplate
+      }
+    }
+  },
+  // How the user wants task notifications delivered (they are always kept in-app)
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: false
     }
   },
   isActive: {
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const AssetLibraryItem = require('./AssetLibraryItem');
+
+// Vendors are categorised by the same trades as asset library items
+const TRADE_CATEGORIES = AssetLibraryItem.schema.path('category').enumValues;
+
+const vendorSchema = new mongoose.Schema({
+  companyName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tradeCategories: [{
+    type: String,
+    enum: TRADE_CATEGORIES
+  }],
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: {
+      type: String,
+      default: 'India'
+    }
+  },
+  taxId: {
+    type: String,
+    trim: true
+  },
+  contacts: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  rates: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    unit: {
+      type: String,
+      enum: ['Hour', 'Day', 'Visit', 'Job', 'Month', 'Year'],
+      default: 'Job'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    }
+  }],
+  documents: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['Contract', 'Insurance', 'License', 'Tax', 'Other'],
+      default: 'Other'
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    expiresAt: Date
+  }],
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+vendorSchema.index({ adminId: 1 });
+vendorSchema.index({ tradeCategories: 1, adminId: 1 });
+vendorSchema.index({ companyName: 1, adminId: 1 });
+
+// Virtual for the primary contact (first contact if none is flagged)
+vendorSchema.virtual('primaryContact').get(function() {
+  if (!this.contacts || this.contacts.length === 0) return null;
+  return this.contacts.find(contact => contact.isPrimary) || this.contacts[0];
+});
+
+// Ensure virtual fields are serialized
+vendorSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Vendor', vendorSchema);
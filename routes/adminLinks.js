@@ -31,6 +31,9 @@ router.post('/generate-code', adminLinksController.generateNewAdminCode);
 // Update admin settings
 router.patch('/settings', adminLinksController.updateAdminSettings);
 
+// Get resident notification templates and channels
+router.get('/notifications', adminLinksController.getNotificationSettings);
+
 // Get admin's specific issues
 router.get('/my-issues', adminLinksController.getAdminIssues);
 
@@ -6,6 +6,32 @@ const { requireAdmin, requireResourceOwnership } = require('../middleware/roleMi
 
 const router = express.Router();
 
+// Validation chains for checklist templates (shared by create and update)
+const checklistTemplateValidators = [
+  body('checklistTemplate')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Checklist template must be an array of at most 50 items'),
+  body('checklistTemplate.*.label')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Checklist item label must be between 2 and 200 characters'),
+  body('checklistTemplate.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Checklist item description cannot exceed 500 characters'),
+  body('checklistTemplate.*.isMandatory')
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist item isMandatory must be true or false'),
+  body('checklistTemplate.*.readingUnit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Reading unit cannot exceed 20 characters')
+];
+
 // Apply authentication to all routes
 router.use(authMiddleware);
 
@@ -68,7 +94,8 @@ router.post('/', [
   body('safetyRequirements')
     .optional()
     .isArray()
-    .withMessage('Safety requirements must be an array')
+    .withMessage('Safety requirements must be an array'),
+  ...checklistTemplateValidators
 ], assetLibraryController.createAssetLibraryItem);
 
 /**
@@ -113,7 +140,8 @@ router.put('/:id', [
   body('safetyRequirements')
     .optional()
     .isArray()
-    .withMessage('Safety requirements must be an array')
+    .withMessage('Safety requirements must be an array'),
+  ...checklistTemplateValidators
 ], assetLibraryController.updateAssetLibraryItem);
 
 /**
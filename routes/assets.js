@@ -3,45 +3,12 @@ const { body, param, query } = require('express-validator');
 const assetsController = require('../controllers/assetsController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { requireAdmin, requireAdminOrManager, requireResourceOwnership } = require('../middleware/roleMiddleware');
+const { parseImportFile, validateImportRows } = require('../middleware/importMiddleware');
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authMiddleware);
-
-/**
- * @route   GET /api/assets
- * @desc    Get all assets for the current admin (optionally filtered by society)
- * @access  Private (Admin/Manager)
- */
-router.get('/', [
-  requireAdminOrManager,
-  requireResourceOwnership,
-  query('societyId')
-    .optional()
-    .isMongoId()
-    .withMessage('Invalid society ID')
-], assetsController.getAssets);
-
-/**
- * @route   GET /api/assets/:id
- * @desc    Get asset by ID
- * @access  Private (Admin/Manager)
- */
-router.get('/:id', [
-  requireAdminOrManager,
-  requireResourceOwnership,
-  param('id').isMongoId().withMessage('Invalid asset ID')
-], assetsController.getAssetById);
-
-/**
- * @route   POST /api/assets
- * @desc    Create new asset
- * @access  Private (Admin)
- */
-router.post('/', [
-  requireAdmin,
-  requireResourceOwnership,
+// Validation chains for a new asset (also applied to every row of a bulk import)
+const createAssetValidators = [
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -104,6 +71,80 @@ router.post('/', [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/assets
+ * @desc    Get all assets for the current admin (optionally filtered by society)
+ * @access  Private (Admin/Manager)
+ */
+router.get('/', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  query('societyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid society ID')
+], assetsController.getAssets);
+
+/**
+ * @route   GET /api/assets/export
+ * @desc    Export assets as CSV or XLSX (same filters as GET /api/assets)
+ * @access  Private (Admin/Manager)
+ */
+router.get('/export', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  query('societyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid society ID'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx')
+], assetsController.exportAssets);
+
+/**
+ * @route   POST /api/assets/import
+ * @desc    Bulk import assets from a CSV/XLSX file (preview=true validates without saving)
+ * @access  Private (Admin)
+ */
+router.post('/import', [
+  requireAdmin,
+  requireResourceOwnership,
+  parseImportFile,
+  query('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('Preview must be true or false')
+    .toBoolean(),
+  validateImportRows(createAssetValidators)
+], assetsController.importAssets);
+
+/**
+ * @route   GET /api/assets/:id
+ * @desc    Get asset by ID
+ * @access  Private (Admin/Manager)
+ */
+router.get('/:id', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid asset ID')
+], assetsController.getAssetById);
+
+/**
+ * @route   POST /api/assets
+ * @desc    Create new asset
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  requireAdmin,
+  requireResourceOwnership,
+  ...createAssetValidators
 ], assetsController.createAsset);
 
 /**
@@ -1,4 +1,5 @@
 const express = require('express');
+const { query } = require('express-validator');
 const dashboardController = require('../controllers/dashboardController');
 const authMiddleware = require('../middleware/authMiddleware');
 
@@ -9,6 +10,12 @@ const router = express.Router();
  * @desc    Get dashboard overview data
  * @access  Private (Admin/Manager)
  */
-router.get('/', authMiddleware, dashboardController.getDashboard);
+router.get('/', [
+  authMiddleware,
+  query('vendorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vendor ID')
+], dashboardController.getDashboard);
 
 module.exports = router;
\ No newline at end of file
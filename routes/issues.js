@@ -1,22 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const issuesController = require('../controllers/issuesController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { requireAdmin } = require('../middleware/roleMiddleware');
+const { requireAdmin, requireResourceOwnership } = require('../middleware/roleMiddleware');
+const { parseIssuePhotos } = require('../middleware/issuePhotoMiddleware');
 
 // Public routes (for residents - no authentication required)
-router.post('/submit', issuesController.submitIssue);
+router.post('/submit', parseIssuePhotos, issuesController.submitIssue);
+router.post('/photo-upload-url', issuesController.getIssuePhotoUploadUrl);
 router.get('/societies', issuesController.getSocietiesForForm);
+router.get('/track/:referenceNumber', issuesController.trackIssue);
 router.get('/db-status', issuesController.getDbStatus);
 
 // Protected routes (admin only)
 router.use(authMiddleware); // All routes below require authentication
 
-// Admin routes
-router.get('/', requireAdmin, issuesController.getAllIssues);
-router.get('/stats', requireAdmin, issuesController.getIssueStats);
-router.get('/:id', requireAdmin, issuesController.getIssueById);
-router.patch('/:id/review', requireAdmin, issuesController.reviewIssue);
-router.post('/:id/convert-to-task', requireAdmin, issuesController.convertToTask);
+// Admin routes - scoped to issues owned by the current admin
+router.get('/', requireAdmin, requireResourceOwnership, issuesController.getAllIssues);
+router.get('/stats', requireAdmin, requireResourceOwnership, issuesController.getIssueStats);
+router.get('/export', requireAdmin, requireResourceOwnership, issuesController.exportIssues);
+router.get('/:id', requireAdmin, requireResourceOwnership, issuesController.getIssueById);
+router.post('/:id/tracking-token', requireAdmin, requireResourceOwnership, issuesController.resetTrackingToken);
+router.patch('/:id/review', requireAdmin, requireResourceOwnership, issuesController.reviewIssue);
+router.post('/:id/convert-to-task', requireAdmin, requireResourceOwnership, [
+  body('ignoreAvailability')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreAvailability must be a boolean value')
+    .toBoolean()
+], issuesController.convertToTask);
 
 module.exports = router;
\ No newline at end of file
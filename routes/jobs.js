@@ -0,0 +1,32 @@
+const express = require('express');
+const { query } = require('express-validator');
+const jobsController = require('../controllers/jobsController');
+const { requireJobSecret } = require('../middleware/jobTickMiddleware');
+
+const router = express.Router();
+
+// Called by a scheduler rather than a user, so it uses the job tick secret instead of a JWT
+router.use(requireJobSecret);
+
+const tickValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * @route   GET /api/jobs/tick
+ * @desc    Run due background jobs (GET for Vercel Cron)
+ * @access  Job tick secret
+ */
+router.get('/tick', tickValidators, jobsController.tick);
+
+/**
+ * @route   POST /api/jobs/tick
+ * @desc    Run due background jobs
+ * @access  Job tick secret
+ */
+router.post('/tick', tickValidators, jobsController.tick);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const maintenanceScheduleController = require('../controllers/maintenanceScheduleController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+// Apply admin requirement to all routes
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/maintenance-schedule/due
+ * @desc    Preview assets due for preventive maintenance
+ * @access  Private (Admin)
+ */
+router.get('/due', [
+  query('lookaheadDays')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Lookahead days must be between 0 and 30')
+], maintenanceScheduleController.getDueAssets);
+
+/**
+ * @route   POST /api/maintenance-schedule/run
+ * @desc    Generate preventive maintenance tasks for due assets
+ * @access  Private (Admin)
+ */
+router.post('/run', [
+  body('lookaheadDays')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Lookahead days must be between 0 and 30')
+    .toInt(),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value')
+    .toBoolean()
+], maintenanceScheduleController.runScheduler);
+
+module.exports = router;
@@ -1,11 +1,53 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const managersController = require('../controllers/managersController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { requireAdmin } = require('../middleware/roleMiddleware');
 
 const router = express.Router();
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation chain shared by create and update
+const profileValidators = [
+  body('skills')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Skills must be an array of up to 50 skills'),
+  body('skills.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each skill must be between 1 and 100 characters'),
+  body('coveredSocietyIds')
+    .optional()
+    .isArray()
+    .withMessage('Covered societies must be an array of society IDs'),
+  body('coveredSocietyIds.*')
+    .isMongoId()
+    .withMessage('Invalid society ID'),
+  body('workingHours')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Working hours must be an object'),
+  body('workingHours.days')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Working days must be an array'),
+  body('workingHours.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Working days must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body(['workingHours.startTime', 'workingHours.endTime'])
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Working hours must be in HH:mm format'),
+  body('workingHours')
+    .optional({ nullable: true })
+    .custom(hours => !hours.startTime || !hours.endTime || hours.startTime < hours.endTime)
+    .withMessage('Working hours must end after they start')
+];
+
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
@@ -19,6 +61,45 @@ router.use(requireAdmin);
  */
 router.get('/stats', managersController.getManagerStats);
 
+/**
+ * @route   GET /api/managers/performance
+ * @desc    Get workload and performance per manager over a date range
+ * @access  Private (Admin only)
+ */
+router.get('/performance', [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('managerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid manager ID')
+], managersController.getManagerPerformance);
+
+/**
+ * @route   GET /api/managers/suggestions
+ * @desc    Rank managers for a new task on an asset
+ * @access  Private (Admin only)
+ */
+router.get('/suggestions', [
+  query('assetId')
+    .isMongoId()
+    .withMessage('Invalid asset ID'),
+  query('societyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid society ID'),
+  query('scheduledDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid scheduled date')
+], managersController.getAssignmentSuggestions);
+
 /**
  * @route   GET /api/managers
  * @desc    Get all managers with pagination and search
@@ -50,7 +131,8 @@ router.post('/', [
   body('phone')
     .optional()
     .isMobilePhone('any')
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  ...profileValidators
 ], managersController.createManager);
 
 /**
@@ -80,6 +162,7 @@ router.put('/:id', [
     .optional()
     .isMobilePhone('any')
     .withMessage('Please provide a valid phone number'),
+  ...profileValidators,
   body('isActive')
     .optional()
     .isBoolean()
@@ -93,6 +176,38 @@ router.put('/:id', [
  */
 router.delete('/:id', managersController.deleteManager);
 
+/**
+ * @route   POST /api/managers/:id/leave
+ * @desc    Add a leave period for a manager
+ * @access  Private (Admin only)
+ */
+router.post('/:id/leave', [
+  param('id').isMongoId().withMessage('Invalid manager ID'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Invalid end date')
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+    .withMessage('End date cannot be before the start date'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+], managersController.addLeave);
+
+/**
+ * @route   DELETE /api/managers/:id/leave/:leaveId
+ * @desc    Remove a leave period
+ * @access  Private (Admin only)
+ */
+router.delete('/:id/leave/:leaveId', [
+  param('id').isMongoId().withMessage('Invalid manager ID'),
+  param('leaveId').isMongoId().withMessage('Invalid leave ID')
+], managersController.removeLeave);
+
 /**
  * @route   POST /api/managers/:id/reset-password
  * @desc    Reset manager password
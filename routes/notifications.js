@@ -0,0 +1,71 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const notificationsController = require('../controllers/notificationsController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdminOrManager } = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+// Apply authentication to all routes - users only ever see their own notifications
+router.use(authMiddleware);
+router.use(requireAdminOrManager);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications
+ * @access  Private (Admin/Manager)
+ */
+router.get('/', [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unread must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], notificationsController.getNotifications);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get the current user's notification preferences
+ * @access  Private (Admin/Manager)
+ */
+router.get('/preferences', notificationsController.getPreferences);
+
+/**
+ * @route   PATCH /api/notifications/preferences
+ * @desc    Turn email copies of notifications on or off
+ * @access  Private (Admin/Manager)
+ */
+router.patch('/preferences', [
+  body('email')
+    .isBoolean({ strict: true })
+    .withMessage('email must be true or false')
+], notificationsController.updatePreferences);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications read
+ * @access  Private (Admin/Manager)
+ */
+router.patch('/read-all', notificationsController.markAllRead);
+
+/**
+ * @route   PATCH /api/notifications/:id
+ * @desc    Mark a notification read ({ read: true }, the default) or unread ({ read: false })
+ * @access  Private (Admin/Manager)
+ */
+router.patch('/:id', [
+  param('id').isMongoId().withMessage('Invalid notification ID'),
+  body('read')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('read must be true or false')
+], notificationsController.updateNotification);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const slaController = require('../controllers/slaController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin, requireResourceOwnership } = require('../middleware/roleMiddleware');
+const AssetLibraryItem = require('../models/AssetLibraryItem');
+
+const router = express.Router();
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+const SLA_CATEGORIES = AssetLibraryItem.schema.path('category').enumValues;
+
+// Validation chains shared by create and update
+const policyDetailValidators = [
+  body('priority')
+    .optional({ nullable: true })
+    .isIn(PRIORITIES)
+    .withMessage('Priority must be Low, Medium, High or Critical (or null for any)'),
+  body('category')
+    .optional({ nullable: true })
+    .isIn(SLA_CATEGORIES)
+    .withMessage('Invalid category'),
+  body('responseTimeHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Response time must be a positive number of hours'),
+  body('resolutionTimeHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Resolution time must be a positive number of hours'),
+  body('escalationRules')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Escalation rules must be an array of up to 10 rules'),
+  body('escalationRules.*.condition')
+    .isIn(['NotStarted', 'NotResolved'])
+    .withMessage('Escalation condition must be NotStarted or NotResolved'),
+  body('escalationRules.*.afterHours')
+    .isFloat({ min: 0 })
+    .withMessage('Escalation afterHours must be a positive number'),
+  body('escalationRules.*.actions')
+    .isArray({ min: 1 })
+    .withMessage('Escalation rules need at least one action'),
+  body('escalationRules.*.actions.*')
+    .isIn(['NotifyAdmin', 'NotifyManager', 'BumpPriority'])
+    .withMessage('Escalation actions must be NotifyAdmin, NotifyManager or BumpPriority')
+];
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/sla/policies
+ * @desc    Get all SLA policies for the current admin
+ * @access  Private (Admin)
+ */
+router.get('/policies', requireResourceOwnership, slaController.getPolicies);
+
+/**
+ * @route   POST /api/sla/policies
+ * @desc    Create SLA policy
+ * @access  Private (Admin)
+ */
+router.post('/policies', [
+  requireResourceOwnership,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters'),
+  ...policyDetailValidators,
+  body()
+    .custom(policy => policy.responseTimeHours != null || policy.resolutionTimeHours != null)
+    .withMessage('A policy needs a response or resolution time')
+], slaController.createPolicy);
+
+/**
+ * @route   PUT /api/sla/policies/:id
+ * @desc    Update SLA policy
+ * @access  Private (Admin)
+ */
+router.put('/policies/:id', [
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid SLA policy ID'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters'),
+  ...policyDetailValidators
+], slaController.updatePolicy);
+
+/**
+ * @route   DELETE /api/sla/policies/:id
+ * @desc    Delete SLA policy (soft delete)
+ * @access  Private (Admin)
+ */
+router.delete('/policies/:id', [
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid SLA policy ID')
+], slaController.deletePolicy);
+
+/**
+ * @route   GET /api/sla/compliance
+ * @desc    Get SLA compliance per society and manager (default: last 30 days)
+ * @access  Private (Admin)
+ */
+router.get('/compliance', [
+  requireResourceOwnership,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid from date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid to date'),
+  query('societyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid society ID')
+], slaController.getComplianceReport);
+
+module.exports = router;
@@ -1,42 +1,48 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const societiesController = require('../controllers/societiesController');
 const authMiddleware = require('../middleware/authMiddleware');
 const { requireAdmin, requireResourceOwnership } = require('../middleware/roleMiddleware');
+const { parseImportFile, validateImportRows } = require('../middleware/importMiddleware');
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authMiddleware);
+const BUDGET_CATEGORIES = ['All', 'Electrical', 'Plumbing', 'HVAC', 'Security', 'Landscaping', 'Structural', 'Cleaning', 'Fire Safety', 'Elevator', 'Generator', 'Water System', 'Waste Management', 'Other'];
 
-/**
- * @route   GET /api/societies
- * @desc    Get all societies for the current admin
- * @access  Private (Admin)
- */
-router.get('/', [
-  requireAdmin,
-  requireResourceOwnership
-], societiesController.getSocieties);
-
-/**
- * @route   GET /api/societies/:id
- * @desc    Get society by ID
- * @access  Private (Admin)
- */
-router.get('/:id', [
-  requireAdmin,
-  requireResourceOwnership,
-  param('id').isMongoId().withMessage('Invalid society ID')
-], societiesController.getSocietyById);
+// Validation chains for society budget entries
+const budgetValidators = [
+  body('budgets')
+    .optional()
+    .isArray()
+    .withMessage('Budgets must be an array'),
+  body('budgets.*.period')
+    .isIn(['Annual', 'Monthly'])
+    .withMessage('Budget period must be Annual or Monthly'),
+  body('budgets.*.year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Budget year must be between 2000 and 2100'),
+  body('budgets.*.month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Budget month must be between 1 and 12'),
+  body('budgets.*')
+    .custom(budget => budget.period !== 'Monthly' || budget.month !== undefined)
+    .withMessage('Monthly budgets need a month'),
+  body('budgets.*.category')
+    .optional()
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+  body('budgets.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Budget amount must be a positive number'),
+  body('budgets.*.currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code')
+];
 
-/**
- * @route   POST /api/societies
- * @desc    Create new society
- * @access  Private (Admin)
- */
-router.post('/', [
-  requireAdmin,
+// Validation chains for a new society (also applied to every row of a bulk import)
+const createSocietyValidators = [
   body('name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -71,6 +77,11 @@ router.post('/', [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Total units must be a positive integer'),
+  body('defaultManagerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid default manager ID'),
+  ...budgetValidators,
   body('contactInfo.primaryContact.name')
     .optional()
     .trim()
@@ -99,6 +110,76 @@ router.post('/', [
     .isEmail()
     .normalizeEmail()
     .withMessage('Invalid emergency contact email')
+];
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/societies
+ * @desc    Get all societies for the current admin
+ * @access  Private (Admin)
+ */
+router.get('/', [
+  requireAdmin,
+  requireResourceOwnership
+], societiesController.getSocieties);
+
+/**
+ * @route   POST /api/societies/import
+ * @desc    Bulk import societies from a CSV/XLSX file (preview=true validates without saving)
+ * @access  Private (Admin)
+ */
+router.post('/import', [
+  requireAdmin,
+  requireResourceOwnership,
+  parseImportFile,
+  query('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('Preview must be true or false')
+    .toBoolean(),
+  validateImportRows(createSocietyValidators)
+], societiesController.importSocieties);
+
+/**
+ * @route   GET /api/societies/:id/budget
+ * @desc    Get budget vs committed vs spent report (monthly if month is given, otherwise annual)
+ * @access  Private (Admin)
+ */
+router.get('/:id/budget', [
+  requireAdmin,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid society ID'),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  query('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12')
+], societiesController.getSocietyBudget);
+
+/**
+ * @route   GET /api/societies/:id
+ * @desc    Get society by ID
+ * @access  Private (Admin)
+ */
+router.get('/:id', [
+  requireAdmin,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid society ID')
+], societiesController.getSocietyById);
+
+/**
+ * @route   POST /api/societies
+ * @desc    Create new society
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  requireAdmin,
+  ...createSocietyValidators
 ], societiesController.createSociety);
 
 /**
@@ -149,6 +230,11 @@ router.put('/:id', [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Total units must be a positive integer'),
+  body('defaultManagerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid default manager ID'),
+  ...budgetValidators,
   body('contactInfo.primaryContact.name')
     .optional()
     .trim()
@@ -0,0 +1,22 @@
+const express = require('express');
+const storageController = require('../controllers/storageController');
+
+const router = express.Router();
+
+/**
+ * @route   PUT /api/storage/upload/:token
+ * @desc    Upload a file to a signed upload URL (local storage driver)
+ * @access  Public (signed token)
+ */
+router.put('/upload/:token', [
+  express.raw({ type: () => true, limit: '10mb' })
+], storageController.uploadToSignedUrl);
+
+/**
+ * @route   GET /api/storage/files/:token
+ * @desc    Read a file through a signed read URL (local storage driver)
+ * @access  Public (signed token)
+ */
+router.get('/files/:token', storageController.downloadFromSignedUrl);
+
+module.exports = router;
@@ -9,7 +9,7 @@ const { requireAdmin, requireAdminOrManager, requireResourceOwnership } = requir
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: 20 * 1024 * 1024, // 20MB limit (phone photos; they are resized before storage)
   },
   fileFilter: (req, file, cb) => {
     console.log('File upload details:', {
@@ -19,6 +19,7 @@ const upload = multer({
       size: file.size
     });
     
+    // Quick check only - the controller verifies the file contents (magic bytes)
     // Accept if mimetype starts with 'image/' or if originalname has image extension
     const isImageMimeType = file.mimetype && file.mimetype.startsWith('image/');
     const hasImageExtension = file.originalname && /\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(file.originalname);
@@ -32,22 +33,33 @@ const upload = multer({
   }
 });
 
-const router = express.Router();
+// Task attachments: images, short videos and PDFs (invoices)
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024 // 25MB limit (short videos)
+  },
+  fileFilter: (req, file, cb) => {
+    const isAllowedMimeType = file.mimetype && (
+      file.mimetype.startsWith('image/') ||
+      ['video/mp4', 'video/quicktime', 'video/webm', 'application/pdf'].includes(file.mimetype)
+    );
 
-// Apply authentication to all routes
-router.use(authMiddleware);
+    if (isAllowedMimeType) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only images, MP4/MOV/WebM videos and PDFs are allowed. Received: ${file.mimetype || 'unknown mimetype'}`), false);
+    }
+  }
+});
 
-/**
- * @route   GET /api/tasks
- * @desc    Get tasks (Admins see all their tasks, Managers see their assigned tasks)
- * @access  Private (Admin/Manager)
- */
-router.get('/', [
-  requireAdminOrManager,
-  requireResourceOwnership,
+const ATTACHMENT_TYPES = ['before', 'after', 'invoice', 'other'];
+
+// Validation chains for the task list filters (shared by list and export)
+const taskFilterValidators = [
   query('status')
     .optional()
-    .isIn(['Pending', 'InProgress', 'PendingVerification', 'Completed', 'RequiresAttention'])
+    .isIn(['QuotationPhase', 'PendingApproval', 'Pending', 'InProgress', 'PendingVerification', 'Completed', 'RequiresAttention'])
     .withMessage('Invalid status'),
   query('priority')
     .optional()
@@ -60,9 +72,68 @@ router.get('/', [
   query('assetId')
     .optional()
     .isMongoId()
-    .withMessage('Invalid asset ID')
+    .withMessage('Invalid asset ID'),
+  query('vendorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vendor ID')
+];
+
+// Validation chains for the actual cost recorded when work is completed
+const actualCostValidators = [
+  body('actualCost.amount')
+    .if(body('actualCost').exists())
+    .isFloat({ min: 0 })
+    .withMessage('Actual cost amount must be a positive number'),
+  body('actualCost.currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('actualCost.costType')
+    .optional()
+    .isIn(['Operational', 'Maintenance', 'Capital', 'Not Applicable'])
+    .withMessage('Invalid cost type'),
+  body('actualCost.paymentMethod')
+    .optional()
+    .isIn(['Bank', 'Cash', 'Cheque', 'UPI', 'Not Applicable'])
+    .withMessage('Invalid payment method'),
+  body('actualCost.invoiceUrl')
+    .optional()
+    .isURL()
+    .withMessage('Invalid invoice URL')
+];
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/tasks
+ * @desc    Get tasks (Admins see all their tasks, Managers see their assigned tasks)
+ * @access  Private (Admin/Manager)
+ */
+router.get('/', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  ...taskFilterValidators
 ], tasksController.getTasks);
 
+/**
+ * @route   GET /api/tasks/export
+ * @desc    Export tasks as CSV or XLSX (same filters as GET /api/tasks)
+ * @access  Private (Admin/Manager)
+ */
+router.get('/export', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  ...taskFilterValidators,
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx')
+], tasksController.exportTasks);
+
 /**
  * @route   GET /api/tasks/:id
  * @desc    Get task by ID
@@ -74,6 +145,17 @@ router.get('/:id', [
   param('id').isMongoId().withMessage('Invalid task ID')
 ], tasksController.getTaskById);
 
+/**
+ * @route   GET /api/tasks/:id/history
+ * @desc    Get task status history and day-by-day timeline
+ * @access  Private (Admin/Manager)
+ */
+router.get('/:id/history', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID')
+], tasksController.getTaskHistory);
+
 /**
  * @route   POST /api/tasks
  * @desc    Create new task
@@ -93,8 +175,18 @@ router.post('/', [
     .isMongoId()
     .withMessage('Invalid asset ID'),
   body('assignedManagerId')
+    .optional()
     .isMongoId()
     .withMessage('Invalid manager ID'),
+  body('vendorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vendor ID'),
+  body('requiresQuotation')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresQuotation must be a boolean value')
+    .toBoolean(),
   body('priority')
     .optional()
     .isIn(['Low', 'Medium', 'High', 'Critical'])
@@ -105,7 +197,17 @@ router.post('/', [
   body('estimatedDuration')
     .optional()
     .isInt({ min: 15, max: 1440 })
-    .withMessage('Estimated duration must be between 15 and 1440 minutes')
+    .withMessage('Estimated duration must be between 15 and 1440 minutes'),
+  body('adminNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Admin notes cannot exceed 1000 characters'),
+  body('ignoreAvailability')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreAvailability must be a boolean value')
+    .toBoolean()
 ], tasksController.createTask);
 
 /**
@@ -131,6 +233,10 @@ router.patch('/:id', [
     .optional()
     .isMongoId()
     .withMessage('Invalid manager ID'),
+  body('vendorId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid vendor ID'),
   body('priority')
     .optional()
     .isIn(['Low', 'Medium', 'High', 'Critical'])
@@ -147,7 +253,16 @@ router.patch('/:id', [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Admin notes cannot exceed 1000 characters')
+    .withMessage('Admin notes cannot exceed 1000 characters'),
+  body('status')
+    .not()
+    .exists()
+    .withMessage('Status cannot be edited. Use the start, submit-for-verification, verify and quotation endpoints.'),
+  body('ignoreAvailability')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreAvailability must be a boolean value')
+    .toBoolean()
 ], tasksController.updateTask);
 
 /**
@@ -182,22 +297,102 @@ router.post('/:id/upload-photo', [
   upload.single('photo')
 ], tasksController.uploadTaskPhoto);
 
+/**
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @desc    Tick or untick a checklist item (with optional reading and notes)
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+router.patch('/:id/checklist/:itemId', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID'),
+  body('isChecked')
+    .optional()
+    .isBoolean()
+    .withMessage('isChecked must be true or false')
+    .toBoolean(),
+  body('reading')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reading cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], tasksController.updateChecklistItem);
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    List task attachments (optionally filtered by type)
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+router.get('/:id/attachments', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  query('type')
+    .optional()
+    .isIn(ATTACHMENT_TYPES)
+    .withMessage(`Type must be one of: ${ATTACHMENT_TYPES.join(', ')}`)
+], tasksController.getTaskAttachments);
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Add an attachment - multipart "file" upload or the url of an already uploaded file
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+router.post('/:id/attachments', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  attachmentUpload.single('file'),
+  body('type')
+    .isIn(ATTACHMENT_TYPES)
+    .withMessage(`Type must be one of: ${ATTACHMENT_TYPES.join(', ')}`),
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Valid attachment URL is required'),
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Caption cannot exceed 300 characters')
+], tasksController.addTaskAttachment);
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Remove an attachment (Managers can only remove their own uploads)
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+router.delete('/:id/attachments/:attachmentId', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], tasksController.removeTaskAttachment);
+
 /**
  * @route   POST /api/tasks/:id/submit-for-verification
- * @desc    Submit task for verification with photo
+ * @desc    Submit task for verification (needs at least one "after" photo attachment)
  * @access  Private (Manager - must be assigned to this task)
  */
 router.post('/:id/submit-for-verification', [
   requireAdminOrManager,
   param('id').isMongoId().withMessage('Invalid task ID'),
   body('photoUrl')
+    .optional()
     .isURL()
     .withMessage('Valid photo URL is required'),
   body('completionNotes')
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Completion notes cannot exceed 1000 characters')
+    .withMessage('Completion notes cannot exceed 1000 characters'),
+  ...actualCostValidators
 ], tasksController.submitForVerification);
 
 /**
@@ -222,9 +417,60 @@ router.post('/:id/verify', [
     .notEmpty()
     .trim()
     .isLength({ min: 5, max: 500 })
-    .withMessage('Rejection reason is required and must be between 5 and 500 characters')
+    .withMessage('Rejection reason is required and must be between 5 and 500 characters'),
+  ...actualCostValidators
 ], tasksController.verifyTask);
 
+/**
+ * @route   POST /api/tasks/:id/quotations
+ * @desc    Add a vendor quotation to a task in the quotation phase
+ * @access  Private (Admin/Manager - Manager must be assigned to this task)
+ */
+router.post('/:id/quotations', [
+  requireAdminOrManager,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('vendorId')
+    .isMongoId()
+    .withMessage('Invalid vendor ID'),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Quotation amount must be a positive number'),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('attachmentUrl')
+    .optional()
+    .isURL()
+    .withMessage('Invalid attachment URL'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], tasksController.addQuotation);
+
+/**
+ * @route   POST /api/tasks/:id/quotations/:quotationId/review
+ * @desc    Approve or reject a task quotation
+ * @access  Private (Admin)
+ */
+router.post('/:id/quotations/:quotationId/review', [
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('quotationId').isMongoId().withMessage('Invalid quotation ID'),
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be either approve or reject'),
+  body('rejectionReason')
+    .if(body('action').equals('reject'))
+    .notEmpty()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Rejection reason is required and must be between 5 and 500 characters')
+], tasksController.reviewQuotation);
+
 /**
  * @route   GET /api/tasks/dashboard/stats
  * @desc    Get dashboard statistics
@@ -232,7 +478,11 @@ router.post('/:id/verify', [
  */
 router.get('/dashboard/stats', [
   requireAdminOrManager,
-  requireResourceOwnership
+  requireResourceOwnership,
+  query('vendorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid vendor ID')
 ], tasksController.getDashboardStats);
 
 /**
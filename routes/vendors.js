@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const vendorsController = require('../controllers/vendorsController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requireAdmin, requireResourceOwnership } = require('../middleware/roleMiddleware');
+const AssetLibraryItem = require('../models/AssetLibraryItem');
+
+const router = express.Router();
+
+// Vendors are tagged with the same trades as asset library categories
+const TRADE_CATEGORIES = AssetLibraryItem.schema.path('category').enumValues;
+
+// Validation chains shared by create and update
+const vendorDetailValidators = [
+  body('tradeCategories')
+    .optional()
+    .isArray()
+    .withMessage('Trade categories must be an array'),
+  body('tradeCategories.*')
+    .isIn(TRADE_CATEGORIES)
+    .withMessage('Invalid trade category'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('taxId')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tax ID cannot exceed 50 characters'),
+  body('contacts')
+    .optional()
+    .isArray()
+    .withMessage('Contacts must be an array'),
+  body('contacts.*.name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Contact name must be between 2 and 100 characters'),
+  body('contacts.*.phone')
+    .optional()
+    .isMobilePhone('any')
+    .withMessage('Invalid contact phone number'),
+  body('contacts.*.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid contact email'),
+  body('rates')
+    .optional()
+    .isArray()
+    .withMessage('Rates must be an array'),
+  body('rates.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Rate description is required'),
+  body('rates.*.unit')
+    .optional()
+    .isIn(['Hour', 'Day', 'Visit', 'Job', 'Month', 'Year'])
+    .withMessage('Invalid rate unit'),
+  body('rates.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Rate amount must be a positive number'),
+  body('documents')
+    .optional()
+    .isArray()
+    .withMessage('Documents must be an array'),
+  body('documents.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Document name is required'),
+  body('documents.*.type')
+    .optional()
+    .isIn(['Contract', 'Insurance', 'License', 'Tax', 'Other'])
+    .withMessage('Invalid document type'),
+  body('documents.*.url')
+    .isURL()
+    .withMessage('Valid document URL is required'),
+  body('documents.*.expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid document expiry date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Apply authentication to all routes
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/vendors
+ * @desc    Get all vendors for the current admin
+ * @access  Private (Admin)
+ */
+router.get('/', [
+  requireAdmin,
+  requireResourceOwnership,
+  query('category')
+    .optional()
+    .isIn(TRADE_CATEGORIES)
+    .withMessage('Invalid trade category')
+], vendorsController.getVendors);
+
+/**
+ * @route   GET /api/vendors/:id
+ * @desc    Get vendor by ID
+ * @access  Private (Admin)
+ */
+router.get('/:id', [
+  requireAdmin,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid vendor ID')
+], vendorsController.getVendorById);
+
+/**
+ * @route   POST /api/vendors
+ * @desc    Create new vendor
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  requireAdmin,
+  body('companyName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Company name must be between 2 and 100 characters'),
+  ...vendorDetailValidators
+], vendorsController.createVendor);
+
+/**
+ * @route   PUT /api/vendors/:id
+ * @desc    Update vendor
+ * @access  Private (Admin)
+ */
+router.put('/:id', [
+  requireAdmin,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid vendor ID'),
+  body('companyName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Company name must be between 2 and 100 characters'),
+  ...vendorDetailValidators
+], vendorsController.updateVendor);
+
+/**
+ * @route   DELETE /api/vendors/:id
+ * @desc    Delete vendor (soft delete)
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [
+  requireAdmin,
+  requireResourceOwnership,
+  param('id').isMongoId().withMessage('Invalid vendor ID')
+], vendorsController.deleteVendor);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const Issue = require('../models/Issue');
+const Society = require('../models/Society');
+
+/**
+ * One-off migration: set Issue.adminId on issues created before issues were tenant-scoped.
+ * The owner is the target admin for link submissions, otherwise the society's admin.
+ *   node scripts/backfill-issue-admins.js
+ */
+const run = async () => {
+  try {
+    await database.connect();
+
+    const issues = await Issue.find({ adminId: { $exists: false } })
+      .select('_id targetAdminId societyId')
+      .lean();
+
+    console.log(`🔍 Found ${issues.length} issue(s) without an owning admin`);
+
+    let updated = 0;
+    const orphaned = [];
+
+    for (const issue of issues) {
+      let adminId = issue.targetAdminId;
+
+      if (!adminId) {
+        const society = await Society.findById(issue.societyId).select('adminId').lean();
+        adminId = society?.adminId;
+      }
+
+      if (!adminId) {
+        orphaned.push(issue._id);
+        continue;
+      }
+
+      await Issue.updateOne({ _id: issue._id }, { $set: { adminId } });
+      updated++;
+    }
+
+    console.log(`✅ ${updated} issue(s) updated`);
+    if (orphaned.length > 0) {
+      console.warn(`⚠️  ${orphaned.length} issue(s) have no resolvable admin: ${orphaned.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('❌ Issue admin backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const slaService = require('../services/slaService');
+
+/**
+ * Record SLA breaches and apply escalation rules for open tasks and issues.
+ * Intended to be run from cron (e.g. every 15 minutes):
+ *   node scripts/check-sla.js
+ */
+const run = async () => {
+  try {
+    await database.connect();
+
+    console.log('⏱️  Checking SLA targets...');
+    const { breaches, escalations } = await slaService.checkBreaches();
+
+    console.log(`📊 ${breaches} breach${breaches === 1 ? '' : 'es'} recorded, ${escalations} escalation${escalations === 1 ? '' : 's'} applied`);
+  } catch (error) {
+    console.error('❌ SLA check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,80 @@
+require('dotenv').config();
+
+const path = require('path');
+const database = require('../../config/database');
+const legacyTaskImportService = require('../../services/legacyTaskImportService');
+
+/**
+ * Import the legacy task register (XLSX, CSV or JSON) for one society.
+ * Re-running an import updates the tasks it created earlier (matched on Sr No).
+ *   node scripts/data-import/import-excel-data.js <file> --admin <email> --society <name|id>
+ *     [--manager <email>] [--sheet <name>] [--dry-run]
+ */
+const getOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const printReport = (report) => {
+  console.log(`📊 ${report.totalRows} rows read, ${report.emptyRows} empty`);
+  console.log(`   Tasks: ${report.tasks.created} created, ${report.tasks.updated} updated`);
+  console.log(`   Assets: ${report.assets.created} created, ${report.assets.existing} existing`);
+  console.log(`   Asset library items: ${report.assetLibraryItems.created} created, ${report.assetLibraryItems.existing} existing`);
+
+  if (report.skipped.length > 0) {
+    console.log(`⏭️  ${report.skipped.length} rows skipped:`);
+    report.skipped.forEach(entry => {
+      console.log(`   Sr No ${entry.srNo ?? '-'}: ${entry.reason}`);
+    });
+  }
+
+  const unmappedFields = Object.keys(report.unmapped);
+  if (unmappedFields.length > 0) {
+    console.log('⚠️  Values with no mapping (imported with defaults):');
+    unmappedFields.forEach(field => {
+      Object.entries(report.unmapped[field]).forEach(([value, count]) => {
+        console.log(`   ${field}: "${value}" × ${count}`);
+      });
+    });
+  }
+};
+
+const run = async (defaultFile) => {
+  const args = process.argv.slice(2);
+  const filePath = args[0] && !args[0].startsWith('--') ? args[0] : defaultFile;
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    if (!filePath) {
+      throw new Error('Usage: import-excel-data.js <file> --admin <email> --society <name|id> [--manager <email>] [--sheet <name>] [--dry-run]');
+    }
+
+    const rows = await legacyTaskImportService.readRows(path.resolve(filePath), {
+      sheetName: getOption(args, 'sheet')
+    });
+
+    await database.connect();
+
+    const targets = await legacyTaskImportService.resolveTargets({
+      adminEmail: getOption(args, 'admin'),
+      society: getOption(args, 'society'),
+      managerEmail: getOption(args, 'manager')
+    });
+
+    console.log(`📥 Importing ${rows.length} rows into ${targets.society.name}${dryRun ? ' (dry run)' : ''}...`);
+    const report = await legacyTaskImportService.importRows(rows, { ...targets, dryRun });
+
+    printReport(report);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { run };
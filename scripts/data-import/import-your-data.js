@@ -0,0 +1,10 @@
+const path = require('path');
+const { run } = require('./import-excel-data');
+
+/**
+ * Import the bundled imported-data.json (the legacy register already converted to JSON).
+ * Accepts the same options as import-excel-data.js:
+ *   node scripts/data-import/import-your-data.js --admin <email> --society <name|id>
+ *     [--manager <email>] [--dry-run]
+ */
+run(path.join(__dirname, 'imported-data.json'));
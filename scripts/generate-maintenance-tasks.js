@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const maintenanceSchedulerService = require('../services/maintenanceSchedulerService');
+
+/**
+ * Generate preventive maintenance tasks for every admin's due assets.
+ * Intended to be run once a day from cron:
+ *   node scripts/generate-maintenance-tasks.js [--dry-run]
+ */
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await database.connect();
+
+    console.log(`🗓️  Generating preventive maintenance tasks${dryRun ? ' (dry run)' : ''}...`);
+    const { created, skipped } = await maintenanceSchedulerService.generateDueTasks({ dryRun });
+
+    created.forEach(task => {
+      console.log(`   ✅ ${task.title} — due ${new Date(task.scheduledDate).toDateString()}`);
+    });
+    skipped.forEach(entry => {
+      console.log(`   ⏭️  ${entry.assetName}: ${entry.reason}`);
+    });
+
+    console.log(`📊 ${created.length} created, ${skipped.length} skipped`);
+  } catch (error) {
+    console.error('❌ Preventive maintenance generation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,65 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const jobService = require('../services/jobService');
+
+/**
+ * Long-lived background job worker. Queues recurring jobs on their cron schedules and
+ * runs due jobs, checking every JOB_POLL_INTERVAL_SECONDS (default 30). Several workers
+ * can run side by side; each job is only run by one of them.
+ *   node scripts/job-worker.js          # keep running (stop with Ctrl+C / SIGTERM)
+ *   node scripts/job-worker.js --once   # run due jobs once and exit
+ */
+const pollInterval = (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 30) * 1000;
+const workerId = jobService.createWorkerId('worker');
+
+let stopping = false;
+let wakeUp = null;
+
+const stop = () => {
+  console.log('🛑 Stopping after the current job...');
+  stopping = true;
+  if (wakeUp) wakeUp();
+};
+
+const sleep = ms => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  wakeUp = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+});
+
+const run = async () => {
+  const once = process.argv.includes('--once');
+
+  try {
+    await database.connect();
+    console.log(`⚙️  Job worker ${workerId} started${once ? ' (single run)' : ''}`);
+
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    do {
+      // Keep ticking until no jobs are due, then wait for the next poll
+      let result;
+      do {
+        result = await jobService.tick({ workerId, maxDurationMs: pollInterval });
+
+        result.scheduled.forEach(name => console.log(`   🗓️  Queued ${name}`));
+        result.jobs.forEach(job => console.log(`   ${job.outcome === 'Completed' ? '✅' : '❌'} ${job.name}: ${job.outcome}`));
+      } while (!stopping && result.jobs.length > 0);
+
+      if (!once && !stopping) {
+        await sleep(pollInterval);
+      }
+    } while (!once && !stopping);
+  } catch (error) {
+    console.error('❌ Job worker failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run();
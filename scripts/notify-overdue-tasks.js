@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const database = require('../config/database');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Notify managers and admins about tasks whose scheduled date has passed.
+ * Intended to be run from cron (e.g. hourly):
+ *   node scripts/notify-overdue-tasks.js
+ */
+const run = async () => {
+  try {
+    await database.connect();
+
+    console.log('⏰ Checking for overdue tasks...');
+    const count = await notificationService.notifyOverdueTasks();
+
+    console.log(`📊 ${count} overdue task${count === 1 ? '' : 's'} reported`);
+  } catch (error) {
+    console.error('❌ Overdue task notifications failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const AssetLibraryItem = require('../models/AssetLibraryItem');
+const Society = require('../models/Society');
+const Task = require('../models/Task');
+
+/**
+ * Budget Service
+ * Compares society maintenance budgets with committed and actual task costs.
+ *
+ * - Spent: completed tasks verified within the period, using the recorded actual cost
+ *   (or the approved quotation when no actual cost was recorded)
+ * - Committed: open tasks scheduled within the period that have an approved quotation
+ * - An annual budget counts one twelfth towards each month, except months of the same
+ *   category that have their own monthly budget, which replaces that twelfth. Annual
+ *   reports add up the twelve months.
+ */
+class BudgetService {
+  /**
+   * Get the date range for a reporting period
+   * @param {number} year - Calendar year
+   * @param {number} [month] - Month (1-12); omit for the whole year
+   * @returns {Object} { start, end } with end exclusive
+   */
+  getPeriodRange(year, month) {
+    if (month) {
+      return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 1)
+      };
+    }
+
+    return {
+      start: new Date(year, 0, 1),
+      end: new Date(year + 1, 0, 1)
+    };
+  }
+
+  /**
+   * Sum the budget amounts that apply to a period, keyed by category
+   * @param {Array} budgets - Society budget entries
+   * @param {number} year - Calendar year
+   * @param {number} [month] - Month (1-12); omit for the whole year
+   * @returns {Object} Map of category to budget amount
+   */
+  getBudgetTotals(budgets = [], year, month) {
+    // Annual amount and monthly amounts (by month) per category
+    const byCategory = {};
+    budgets.forEach(budget => {
+      if (budget.year !== year) return;
+
+      const category = budget.category || 'All';
+      byCategory[category] = byCategory[category] || { annual: 0, monthly: new Map() };
+      if (budget.period === 'Annual') {
+        byCategory[category].annual += budget.amount;
+      } else {
+        const { monthly } = byCategory[category];
+        monthly.set(budget.month, (monthly.get(budget.month) || 0) + budget.amount);
+      }
+    });
+
+    const months = month ? [month] : Array.from({ length: 12 }, (value, index) => index + 1);
+    const totals = {};
+
+    Object.entries(byCategory).forEach(([category, { annual, monthly }]) => {
+      const amount = months.reduce((sum, period) =>
+        sum + (monthly.has(period) ? monthly.get(period) : annual / 12), 0);
+
+      if (amount > 0) {
+        totals[category] = amount;
+      }
+    });
+
+    return totals;
+  }
+
+  /**
+   * Aggregate committed and spent amounts per asset category for a society
+   * @param {string} societyId - Society ID
+   * @param {Object} range - { start, end }
+   * @returns {Object} Map of category to { committed, spent }
+   */
+  async getCostTotals(societyId, { start, end }) {
+    const approvedQuotationAmount = {
+      $reduce: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$quotations', []] },
+            cond: { $eq: ['$$this.status', 'Approved'] }
+          }
+        },
+        initialValue: 0,
+        in: { $add: ['$$value', '$$this.amount'] }
+      }
+    };
+
+    const results = await Task.aggregate([
+      {
+        $match: {
+          societyId: new mongoose.Types.ObjectId(societyId),
+          isActive: true,
+          $or: [
+            { status: 'Completed', verifiedAt: { $gte: start, $lt: end } },
+            {
+              status: { $ne: 'Completed' },
+              scheduledDate: { $gte: start, $lt: end },
+              'quotations.status': 'Approved'
+            }
+          ]
+        }
+      },
+      {
+        $lookup: {
+          from: Asset.collection.name,
+          localField: 'assetId',
+          foreignField: '_id',
+          as: 'asset'
+        }
+      },
+      { $unwind: { path: '$asset', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: AssetLibraryItem.collection.name,
+          localField: 'asset.assetLibraryItemId',
+          foreignField: '_id',
+          as: 'libraryItem'
+        }
+      },
+      { $unwind: { path: '$libraryItem', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          category: { $ifNull: ['$libraryItem.category', 'Other'] },
+          spent: {
+            $cond: [
+              { $eq: ['$status', 'Completed'] },
+              { $ifNull: ['$actualCost.amount', approvedQuotationAmount] },
+              0
+            ]
+          },
+          committed: {
+            $cond: [{ $eq: ['$status', 'Completed'] }, 0, approvedQuotationAmount]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$category',
+          committed: { $sum: '$committed' },
+          spent: { $sum: '$spent' }
+        }
+      }
+    ]);
+
+    const totals = {};
+    results.forEach(result => {
+      totals[result._id] = { committed: result.committed, spent: result.spent };
+    });
+    return totals;
+  }
+
+  /**
+   * Build a budget vs committed vs spent report for a society
+   * @param {Object} society - Society document
+   * @param {Object} options
+   * @param {number} options.year - Calendar year
+   * @param {number} [options.month] - Month (1-12); omit for an annual report
+   * @returns {Object} Budget report
+   */
+  async getBudgetReport(society, { year, month }) {
+    const range = this.getPeriodRange(year, month);
+    const budgetTotals = this.getBudgetTotals(society.budgets, year, month);
+    const costTotals = await this.getCostTotals(society._id, range);
+
+    const round = value => Math.round(value * 100) / 100;
+    const buildLine = (category, budget, committed, spent) => ({
+      category,
+      budget: budget === null ? null : round(budget),
+      committed: round(committed),
+      spent: round(spent),
+      remaining: budget === null ? null : round(budget - committed - spent),
+      isOverBudget: budget !== null && spent > budget,
+      isOverCommitted: budget !== null && committed + spent > budget
+    });
+
+    // One line per category that has a budget or any cost
+    const categories = new Set([
+      ...Object.keys(budgetTotals).filter(category => category !== 'All'),
+      ...Object.keys(costTotals)
+    ]);
+
+    const lines = [...categories].sort().map(category => buildLine(
+      category,
+      budgetTotals[category] !== undefined ? budgetTotals[category] : null,
+      costTotals[category]?.committed || 0,
+      costTotals[category]?.spent || 0
+    ));
+
+    const totalCommitted = lines.reduce((sum, line) => sum + line.committed, 0);
+    const totalSpent = lines.reduce((sum, line) => sum + line.spent, 0);
+
+    // An 'All' budget caps the society as a whole; otherwise the category budgets add up
+    const categoryBudgets = lines.filter(line => line.budget !== null);
+    const totalBudget = budgetTotals.All !== undefined
+      ? budgetTotals.All
+      : (categoryBudgets.length > 0 ? categoryBudgets.reduce((sum, line) => sum + line.budget, 0) : null);
+
+    const total = buildLine('All', totalBudget, totalCommitted, totalSpent);
+
+    return {
+      society: {
+        id: society._id,
+        name: society.name
+      },
+      period: {
+        type: month ? 'Monthly' : 'Annual',
+        year,
+        month: month || null,
+        start: range.start,
+        end: range.end
+      },
+      currency: society.budgets?.[0]?.currency || 'INR',
+      lines,
+      total,
+      isOverBudget: total.isOverBudget || lines.some(line => line.isOverBudget),
+      isOverCommitted: total.isOverCommitted || lines.some(line => line.isOverCommitted)
+    };
+  }
+
+  /**
+   * Find an admin's societies that are over budget this month or this year
+   * @param {string} adminId - Admin ID
+   * @param {Date} [asOf] - Reference date (default: now)
+   * @returns {Array} Flagged societies with the periods they are over in
+   */
+  async getOverBudgetSocieties(adminId, asOf = new Date()) {
+    const societies = await Society.find({
+      adminId,
+      isActive: true,
+      'budgets.0': { $exists: true }
+    });
+
+    const year = asOf.getFullYear();
+    const month = asOf.getMonth() + 1;
+    const flagged = [];
+
+    for (const society of societies) {
+      const reports = await Promise.all([
+        this.getBudgetReport(society, { year, month }),
+        this.getBudgetReport(society, { year })
+      ]);
+
+      const overPeriods = reports
+        .filter(report => report.isOverBudget || report.isOverCommitted)
+        .map(report => ({
+          period: report.period.type,
+          budget: report.total.budget,
+          committed: report.total.committed,
+          spent: report.total.spent,
+          isOverBudget: report.isOverBudget,
+          overBudgetCategories: report.lines
+            .filter(line => line.isOverBudget || line.isOverCommitted)
+            .map(line => line.category)
+        }));
+
+      if (overPeriods.length > 0) {
+        flagged.push({
+          societyId: society._id,
+          name: society.name,
+          periods: overPeriods
+        });
+      }
+    }
+
+    return flagged;
+  }
+}
+
+// Create singleton instance
+const budgetService = new BudgetService();
+
+module.exports = budgetService;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bulk Import Service
+ * Inserts validated spreadsheet rows (see middleware/importMiddleware.js) all-or-nothing
+ * and builds the per-row import report. Replica sets (e.g. MongoDB Atlas) use a
+ * transaction; standalone servers insert in order and delete the inserted rows if one fails.
+ */
+class BulkImportService {
+  /**
+   * Check whether the connected MongoDB deployment supports transactions
+   * (replica sets and sharded clusters do, standalone servers don't)
+   * @returns {boolean}
+   */
+  async supportsTransactions() {
+    if (this.transactionSupport === undefined) {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      this.transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    }
+    return this.transactionSupport;
+  }
+
+  /**
+   * Insert documents in order without a transaction, removing the ones already
+   * inserted if any insert fails
+   * @param {Object} Model - Mongoose model to insert into
+   * @param {Array} documents - Documents to insert
+   * @returns {Array} Inserted documents
+   */
+  async insertAllOrNothing(Model, documents) {
+    // Build the documents first so their ids are known if the insert stops part-way
+    const records = documents.map(document => new Model(document));
+    try {
+      return await Model.insertMany(records, { ordered: true });
+    } catch (error) {
+      await Model.deleteMany({ _id: { $in: records.map(record => record._id) } });
+      throw error;
+    }
+  }
+
+  /**
+   * Import the valid rows, or just report on them in preview mode
+   * @param {Object} Model - Mongoose model to insert into
+   * @param {Array} rows - Parsed rows ({ rowNumber, data, errors })
+   * @param {Object} options
+   * @param {boolean} [options.preview] - Validate and report without inserting
+   * @param {Function} options.toDocument - Maps a valid row's data to the document to insert
+   * @returns {Object} { summary, errors, records }
+   */
+  async importRows(Model, rows, { preview = false, toDocument }) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    const documents = validRows.map(row => toDocument(row.data));
+
+    let records = documents;
+
+    if (!preview && documents.length > 0) {
+      if (await this.supportsTransactions()) {
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            records = await Model.insertMany(documents, { session });
+          });
+        } finally {
+          await session.endSession();
+        }
+      } else {
+        records = await this.insertAllOrNothing(Model, documents);
+      }
+    }
+
+    return {
+      summary: {
+        preview,
+        totalRows: rows.length,
+        validRows: validRows.length,
+        invalidRows: invalidRows.length,
+        created: preview ? 0 : records.length
+      },
+      errors: invalidRows.map(row => ({
+        row: row.rowNumber,
+        errors: row.errors
+      })),
+      records
+    };
+  }
+}
+
+// Create singleton instance
+const bulkImportService = new BulkImportService();
+
+module.exports = bulkImportService;
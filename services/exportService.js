@@ -0,0 +1,100 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Supported export formats and their content types
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Export Service
+ * Streams query results to the client as CSV or XLSX, one document at a time,
+ * so large exports never need to be held in memory.
+ */
+class ExportService {
+  /**
+   * Get the supported export formats
+   * @returns {Array} Format names
+   */
+  getFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  /**
+   * Format a value for a CSV cell
+   * @param {*} value - Cell value
+   * @returns {string} Escaped CSV cell
+   */
+  toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Stop spreadsheet apps from evaluating user-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Stream documents from a query cursor to the response
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {string} options.format - 'csv' or 'xlsx'
+   * @param {string} options.fileName - Download file name without extension
+   * @param {string} options.sheetName - Worksheet name (xlsx)
+   * @param {Array} options.columns - Column definitions ({ header, width, value: doc => cellValue })
+   * @param {Object} options.cursor - Mongoose query cursor
+   */
+  async streamExport(res, { format, fileName, sheetName, columns, cursor }) {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${date}.${format}"`);
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = columns.map(column => ({ header: column.header, width: column.width || 15 }));
+
+        for await (const doc of cursor) {
+          worksheet.addRow(columns.map(column => column.value(doc) ?? null)).commit();
+        }
+
+        worksheet.commit();
+        await workbook.commit();
+        return;
+      }
+
+      // Byte order mark so Excel opens UTF-8 CSVs correctly
+      res.write(`\ufeff${columns.map(column => this.toCsvCell(column.header)).join(',')}\r\n`);
+
+      for await (const doc of cursor) {
+        const line = columns.map(column => this.toCsvCell(column.value(doc))).join(',');
+        if (!res.write(`${line}\r\n`)) {
+          await once(res, 'drain');
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      // Once the download has started the only way to signal failure is to abort it
+      if (res.headersSent) {
+        console.error('Export stream error:', error);
+        res.destroy(error);
+        return;
+      }
+      throw error;
+    } finally {
+      await cursor.close();
+    }
+  }
+}
+
+// Create singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
@@ -0,0 +1,222 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// Longest side of stored photos and thumbnails, in pixels
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_DIMENSION = 320;
+
+// WebP quality for stored photos and thumbnails
+const IMAGE_QUALITY = 80;
+const THUMBNAIL_QUALITY = 70;
+
+// Image formats processPhoto can decode (HEIC needs codecs sharp doesn't ship)
+const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// File signatures ("magic bytes") of the formats we accept, checked against the
+// file contents instead of trusting the client's mimetype
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], at: 0, also: { bytes: [0x57, 0x45, 0x42, 0x50], at: 8 } },
+  { mimeType: 'image/bmp', extension: 'bmp', bytes: [0x42, 0x4D] },
+  { mimeType: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { mimeType: 'video/webm', extension: 'webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+];
+
+// ISO base media (ftyp box) brands: HEIC photos, MP4 and QuickTime videos
+const FTYP_BRANDS = {
+  heic: { mimeType: 'image/heic', extension: 'heic' },
+  heix: { mimeType: 'image/heic', extension: 'heic' },
+  mif1: { mimeType: 'image/heif', extension: 'heif' },
+  avif: { mimeType: 'image/avif', extension: 'avif' },
+  'qt  ': { mimeType: 'video/quicktime', extension: 'mov' },
+  isom: { mimeType: 'video/mp4', extension: 'mp4' },
+  iso2: { mimeType: 'video/mp4', extension: 'mp4' },
+  mp41: { mimeType: 'video/mp4', extension: 'mp4' },
+  mp42: { mimeType: 'video/mp4', extension: 'mp4' },
+  avc1: { mimeType: 'video/mp4', extension: 'mp4' },
+  M4V: { mimeType: 'video/mp4', extension: 'mp4' }
+};
+
+/**
+ * Image Processing Service
+ * Checks uploaded files by their contents, and turns photos into resized WebP
+ * copies plus thumbnails with the EXIF metadata (GPS, capture time) read out
+ * and stripped.
+ */
+class ImageProcessingService {
+  /**
+   * Detect a file's real type from its magic bytes
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { mimeType, extension }, or null if the format is not recognised
+   */
+  detectFileType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    const matches = (bytes, at = 0) => bytes.every((byte, index) => buffer[at + index] === byte);
+
+    const signature = FILE_SIGNATURES.find(candidate =>
+      matches(candidate.bytes, candidate.at) && (!candidate.also || matches(candidate.also.bytes, candidate.also.at))
+    );
+    if (signature) {
+      return { mimeType: signature.mimeType, extension: signature.extension };
+    }
+
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+      const brand = buffer.toString('ascii', 8, 12);
+      return FTYP_BRANDS[brand] || FTYP_BRANDS[brand.trim()] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a degrees/minutes/seconds GPS value to decimal degrees
+   * @param {Array} dms - [degrees, minutes, seconds]
+   * @param {string} ref - N/S/E/W
+   * @returns {number|null} Decimal degrees
+   */
+  toDecimalDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(value => !Number.isFinite(value))) return null;
+
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return Number((['S', 'W'].includes(ref) ? -degrees : degrees).toFixed(7));
+  }
+
+  /**
+   * Read capture time, GPS position and camera from EXIF data
+   * @param {Buffer} exif - Raw EXIF block from sharp metadata
+   * @returns {Object} { capturedAt, location, camera } (fields are omitted when missing)
+   */
+  readExif(exif) {
+    if (!exif) return {};
+
+    let tags;
+    try {
+      tags = exifReader(exif);
+    } catch (error) {
+      console.warn('Could not read photo EXIF data:', error.message);
+      return {};
+    }
+
+    const metadata = {};
+
+    const capturedAt = tags.Photo?.DateTimeOriginal || tags.Photo?.DateTimeDigitized || tags.Image?.DateTime;
+    if (capturedAt instanceof Date && !Number.isNaN(capturedAt.getTime())) {
+      metadata.capturedAt = capturedAt;
+    }
+
+    const gps = tags.GPSInfo;
+    if (gps) {
+      const latitude = this.toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+      const longitude = this.toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+      if (latitude !== null && longitude !== null) {
+        metadata.location = { latitude, longitude };
+        if (Number.isFinite(gps.GPSAltitude)) {
+          metadata.location.altitude = gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+        }
+      }
+    }
+
+    if (tags.Image?.Make || tags.Image?.Model) {
+      metadata.camera = [tags.Image.Make, tags.Image.Model].filter(Boolean).join(' ').trim();
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Check whether processPhoto can handle an image type
+   * @param {string} mimeType - Detected MIME type
+   * @returns {boolean} True for JPEG, PNG, WebP, GIF and AVIF
+   */
+  isProcessableImage(mimeType) {
+    return PROCESSABLE_IMAGE_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Check an uploaded file's contents against the types an endpoint accepts
+   * @param {Object} file - Multer file object
+   * @param {Function} isAllowed - Receives the detected MIME type, returns true if accepted
+   * @returns {Object} { mimeType, extension }
+   * @throws {Error} With statusCode 400 if the file is not an accepted type
+   */
+  checkFileType(file, isAllowed) {
+    const fileType = this.detectFileType(file.buffer);
+
+    if (!fileType || !isAllowed(fileType.mimeType)) {
+      const error = new Error(['image/heic', 'image/heif'].includes(fileType?.mimeType)
+        ? 'HEIC photos are not supported. Please upload a JPEG (on iPhone, set Camera > Formats to "Most Compatible").'
+        : 'File contents do not match an accepted file type');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return fileType;
+  }
+
+  /**
+   * Process an uploaded photo: auto-rotate, resize, convert to WebP and make a thumbnail.
+   * EXIF metadata is read first and is not copied to the outputs.
+   * @param {Object} file - Multer file object (already checked with checkFileType)
+   * @returns {Object} { image, thumbnail, width, height, metadata } - image/thumbnail are multer-like file objects
+   */
+  async processPhoto(file) {
+    const baseName = file.originalname.replace(/\.[^.]+$/, '') || 'photo';
+    let info;
+    let image;
+    let thumbnail;
+
+    try {
+      const source = sharp(file.buffer, { failOn: 'error' });
+      info = await source.metadata();
+
+      // rotate() applies the EXIF orientation; sharp drops all metadata from the output by default
+      [image, thumbnail] = await Promise.all([
+        source.clone()
+          .rotate()
+          .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: IMAGE_QUALITY })
+          .toBuffer({ resolveWithObject: true }),
+        source.clone()
+          .rotate()
+          .resize(THUMBNAIL_DIMENSION, THUMBNAIL_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: THUMBNAIL_QUALITY })
+          .toBuffer()
+      ]);
+    } catch (error) {
+      console.error('Image processing error:', error.message);
+      const unreadable = new Error('The uploaded image could not be read. Please upload a JPEG, PNG or WebP photo.');
+      unreadable.statusCode = 400;
+      throw unreadable;
+    }
+
+    return {
+      image: {
+        buffer: image.data,
+        originalname: `${baseName}.webp`,
+        mimetype: 'image/webp',
+        size: image.data.length
+      },
+      thumbnail: {
+        buffer: thumbnail,
+        originalname: `${baseName}_thumb.webp`,
+        mimetype: 'image/webp',
+        size: thumbnail.length
+      },
+      width: image.info.width,
+      height: image.info.height,
+      metadata: {
+        ...this.readExif(info.exif),
+        originalFormat: info.format,
+        originalSize: file.size
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const imageProcessingService = new ImageProcessingService();
+
+module.exports = imageProcessingService;
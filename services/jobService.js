@@ -0,0 +1,269 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const { parseCron, getPreviousRun } = require('./jobs/cronSchedule');
+const jobDefinitions = require('./jobs/definitions');
+
+const MINUTE = 60 * 1000;
+
+// Running jobs whose lock is older than this are assumed to have crashed and are taken over
+const JOB_LOCK_TIMEOUT = (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * MINUTE;
+
+// How often a worker renews the lock on the job it is running
+const JOB_LOCK_RENEW_INTERVAL = JOB_LOCK_TIMEOUT / 3;
+
+// Missed schedule runs older than this are skipped instead of caught up
+const MAX_CATCH_UP = 7 * 24 * 60 * MINUTE;
+
+// Wait before retrying a failed job: 1, 2, 4... minutes, at most an hour
+const getRetryDelay = attempts => Math.min(MINUTE * 2 ** (attempts - 1), 60 * MINUTE);
+
+/**
+ * Job Service
+ * Runs background work from the jobs collection, so it works both in a long-lived
+ * worker (scripts/job-worker.js) and on serverless hosts through GET/POST /api/jobs/tick.
+ *
+ * - Recurring jobs are queued once per cron slot (the unique name@slot key stops two
+ *   instances queueing the same run); after downtime only the latest missed run is queued
+ * - Deferred jobs are queued with enqueue(name, payload, { runAt })
+ * - A worker claims a job atomically and holds a lock on it, renewed while the handler
+ *   runs; failed jobs are retried with backoff until maxAttempts
+ */
+class JobService {
+  constructor() {
+    this.definitions = new Map();
+    jobDefinitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Register a job type
+   * @param {Object} definition - { name, handler, schedule, maxAttempts }
+   */
+  register(definition) {
+    this.definitions.set(definition.name, definition);
+  }
+
+  /**
+   * Get a job's cron schedule, taking the JOB_SCHEDULE_<NAME> override into account
+   * @param {Object} definition - Job definition
+   * @returns {string|null} Cron expression, or null when the job is not recurring
+   */
+  getSchedule(definition) {
+    const envName = `JOB_SCHEDULE_${definition.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+    const schedule = process.env[envName] !== undefined ? process.env[envName].trim() : definition.schedule;
+    if (!schedule || schedule === 'off') {
+      return null;
+    }
+    return schedule;
+  }
+
+  /**
+   * Generate an id identifying this process in job locks
+   * @param {string} prefix - e.g. 'worker' or 'tick'
+   * @returns {string} Worker id
+   */
+  createWorkerId(prefix) {
+    return `${prefix}:${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} name - Registered job name
+   * @param {Object} [payload] - Data passed to the handler
+   * @param {Object} [options]
+   * @param {Date} [options.runAt] - Run no earlier than this (default now)
+   * @param {string} [options.uniqueKey] - Skip queueing if a job with this key exists
+   * @param {number} [options.maxAttempts] - Override the definition's maxAttempts
+   * @param {Date} [options.scheduledFor] - Schedule slot (recurring jobs)
+   * @returns {Object|null} Job document, or null if a job with the same uniqueKey exists
+   */
+  async enqueue(name, payload = {}, { runAt = new Date(), uniqueKey, maxAttempts, scheduledFor } = {}) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    try {
+      return await Job.create({
+        name,
+        payload,
+        runAt,
+        scheduledFor,
+        uniqueKey,
+        maxAttempts: maxAttempts || definition.maxAttempts || 3
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the latest run of every recurring job that hasn't been queued yet
+   * @param {Date} [now] - Current time
+   * @returns {Array} Names of the jobs queued
+   */
+  async scheduleDue(now = new Date()) {
+    const queued = [];
+
+    for (const definition of this.definitions.values()) {
+      const expression = this.getSchedule(definition);
+      if (!expression) continue;
+
+      let slot;
+      try {
+        slot = getPreviousRun(parseCron(expression), now);
+      } catch (error) {
+        console.error(`❌ Job ${definition.name} has an invalid schedule:`, error.message);
+        continue;
+      }
+      if (!slot || now - slot > MAX_CATCH_UP) continue;
+
+      const job = await this.enqueue(definition.name, {}, {
+        runAt: slot,
+        scheduledFor: slot,
+        uniqueKey: `${definition.name}@${slot.toISOString()}`
+      });
+      if (job) {
+        queued.push(definition.name);
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Claim the next job that is due, or one whose worker stopped without finishing it
+   * @param {string} workerId - Id of the claiming worker
+   * @param {Date} [now] - Current time
+   * @returns {Object|null} Claimed job
+   */
+  async claimNext(workerId, now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: [...this.definitions.keys()] },
+        $or: [
+          { status: 'Pending', runAt: { $lte: now } },
+          { status: 'Running', lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT) } }
+        ]
+      },
+      {
+        $set: { status: 'Running', lockedAt: now, lockedBy: workerId, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Keep refreshing a running job's lock so long handlers aren't taken over
+   * @param {Object} job - Job document claimed by this worker
+   * @returns {Function} Stops renewing; resolves to the lock time to match when recording the outcome
+   */
+  holdLock(job) {
+    let lockedAt = job.lockedAt;
+    let renewal = Promise.resolve();
+
+    const renew = async () => {
+      const renewedAt = new Date();
+      try {
+        const { modifiedCount } = await Job.updateOne(
+          { _id: job._id, lockedBy: job.lockedBy, lockedAt },
+          { $set: { lockedAt: renewedAt } }
+        );
+        if (modifiedCount > 0) {
+          lockedAt = renewedAt;
+        }
+      } catch (error) {
+        console.error(`❌ Could not renew the lock on job ${job.name} (${job._id}):`, error.message);
+      }
+    };
+
+    const timer = setInterval(() => {
+      renewal = renewal.then(renew);
+    }, JOB_LOCK_RENEW_INTERVAL);
+    timer.unref();
+
+    return async () => {
+      clearInterval(timer);
+      await renewal;
+      return lockedAt;
+    };
+  }
+
+  /**
+   * Run a claimed job and record the outcome (retrying later if attempts remain)
+   * @param {Object} job - Job document claimed by this worker
+   * @returns {string} Outcome: 'Completed', 'Failed' or 'Retrying'
+   */
+  async runJob(job) {
+    const definition = this.definitions.get(job.name);
+    const releaseLock = this.holdLock(job);
+    let update;
+
+    try {
+      // A job taken over after its lock expired may already have used every attempt
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Job stopped without finishing (lock expired)');
+      }
+
+      const result = await definition.handler(job.payload || {}, job);
+      update = {
+        $set: { status: 'Completed', result, finishedAt: new Date() },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 }
+      };
+    } catch (error) {
+      console.error(`❌ Job ${job.name} (${job._id}) failed on attempt ${job.attempts}:`, error.message);
+
+      update = job.attempts >= job.maxAttempts
+        ? {
+          $set: { status: 'Failed', lastError: error.message, finishedAt: new Date() },
+          $unset: { lockedAt: 1, lockedBy: 1 }
+        }
+        : {
+          $set: { status: 'Pending', lastError: error.message, runAt: new Date(Date.now() + getRetryDelay(job.attempts)) },
+          $unset: { lockedAt: 1, lockedBy: 1 }
+        };
+    }
+
+    // Only record the outcome if no other worker has taken the job over meanwhile
+    const lockedAt = await releaseLock();
+    await Job.updateOne({ _id: job._id, lockedBy: job.lockedBy, lockedAt }, update);
+
+    if (update.$set.status === 'Pending') {
+      return 'Retrying';
+    }
+    return update.$set.status;
+  }
+
+  /**
+   * Queue due recurring jobs, then run due jobs until none are left or a limit is reached
+   * @param {Object} [options]
+   * @param {string} [options.workerId] - Id used for job locks
+   * @param {number} [options.maxJobs] - Most jobs to run
+   * @param {number} [options.maxDurationMs] - Stop claiming new jobs after this long
+   * @returns {Object} { scheduled, jobs: [{ id, name, outcome }] }
+   */
+  async tick({ workerId = this.createWorkerId('tick'), maxJobs = 20, maxDurationMs = 20000 } = {}) {
+    const startedAt = Date.now();
+    const scheduled = await this.scheduleDue();
+    const jobs = [];
+
+    while (jobs.length < maxJobs && Date.now() - startedAt < maxDurationMs) {
+      const job = await this.claimNext(workerId);
+      if (!job) break;
+
+      const outcome = await this.runJob(job);
+      jobs.push({ id: job._id, name: job.name, outcome });
+    }
+
+    return { scheduled, jobs };
+  }
+}
+
+// Create singleton instance
+const jobService = new JobService();
+
+module.exports = jobService;
@@ -0,0 +1,128 @@
+/**
+ * Cron Schedule
+ * Parses standard 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * and finds their most recent run time. Fields support *, numbers, ranges (1-5),
+ * lists (1,15) and steps (*\/15, 8-18/2). Times use the server's time zone (TZ).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest search for a previous run (schedules such as "0 0 30 2 *" never match)
+const MAX_SEARCH_STEPS = 10000;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition from FIELDS
+ * @returns {Set<number>} Matching values
+ */
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const step = match[3] ? parseInt(match[3]) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== undefined) {
+      start = parseInt(match[1]);
+      // "5/15" runs from 5 to the end of the range
+      end = match[2] !== undefined ? parseInt(match[2]) : (match[3] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "*\/15 * * * *"
+ * @returns {Object} Parsed schedule
+ */
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // 0 and 7 are both Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, a restricted day of month and day of week match either day
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Find the latest time at or before a date that the schedule runs
+ * @param {Object} schedule - Parsed schedule (from parseCron)
+ * @param {Date} date - Search from this time backwards
+ * @returns {Date|null} Run time, or null if none was found
+ */
+const getPreviousRun = (schedule, date) => {
+  const time = new Date(date);
+  time.setSeconds(0, 0);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!schedule.months.has(time.getMonth() + 1)) {
+      // Last minute of the previous month
+      time.setDate(1);
+      time.setHours(0, -1, 0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      // Last minute of the previous day
+      time.setHours(0, -1, 0, 0);
+    } else if (!schedule.hours.has(time.getHours())) {
+      // Last minute of the previous hour
+      time.setMinutes(-1, 0, 0);
+    } else if (!schedule.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() - 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  getPreviousRun
+};
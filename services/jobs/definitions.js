@@ -0,0 +1,34 @@
+const notificationService = require('../notificationService');
+const slaService = require('../slaService');
+const maintenanceSchedulerService = require('../maintenanceSchedulerService');
+
+/**
+ * Built-in jobs
+ * - name: job name (JOB_SCHEDULE_<NAME> overrides the schedule, e.g. JOB_SCHEDULE_CHECK_SLA;
+ *   "off" disables it)
+ * - schedule: default cron schedule for recurring jobs (omit for jobs that are only enqueued)
+ * - handler(payload, job): does the work; its return value is stored as the job's result
+ * - maxAttempts: runs before the job is marked Failed (default 3)
+ */
+module.exports = [
+  {
+    name: 'notify-overdue-tasks',
+    schedule: '0 * * * *',
+    handler: async () => ({
+      notified: await notificationService.notifyOverdueTasks()
+    })
+  },
+  {
+    name: 'check-sla',
+    schedule: '*/15 * * * *',
+    handler: () => slaService.checkBreaches()
+  },
+  {
+    name: 'generate-maintenance-tasks',
+    schedule: '0 2 * * *',
+    handler: async (payload) => {
+      const { created, skipped } = await maintenanceSchedulerService.generateDueTasks({ dryRun: Boolean(payload.dryRun) });
+      return { created: created.length, skipped: skipped.length };
+    }
+  }
+];
@@ -0,0 +1,558 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const AssetLibraryItem = require('../models/AssetLibraryItem');
+const Society = require('../models/Society');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const maintenanceSchedulerService = require('./maintenanceSchedulerService');
+const spreadsheetService = require('./spreadsheetService');
+const taskHistoryService = require('./taskHistoryService');
+
+// Import source recorded on every task created from the legacy register
+const IMPORT_SOURCE = 'legacy-register';
+
+// Number of day-by-day status columns in the register (1stDay ... 15thDay)
+const DAILY_STATUS_COLUMNS = 15;
+
+// Legacy "Current Status" values (closed date decides ambiguous ones)
+const STATUS_MAP = {
+  'Closed': 'Completed',
+  'In-Process': 'InProgress',
+  'Pending Approval': 'PendingApproval',
+  'Quotation Phase': 'QuotationPhase'
+};
+
+// Day-by-day status codes
+const DAILY_STATUS_MAP = {
+  'In-P': 'InProgress',
+  'Q-Ph': 'QuotationPhase',
+  'P-Apro': 'PendingApproval',
+  'CL': 'Completed'
+};
+
+// Legacy "Origine" values - recurring ones become preventive tasks
+const ORIGIN_MAP = {
+  'New Task': { origin: 'Manual' },
+  'Re-Open Task': { origin: 'Manual' },
+  'Routine Task': { origin: 'Preventive' },
+  'Weekly Task': { origin: 'Preventive', frequency: 'Weekly' },
+  'Monthly Task': { origin: 'Preventive', frequency: 'Monthly' },
+  'Quarterly Tasks': { origin: 'Preventive', frequency: 'Quarterly' },
+  'Yearly Task': { origin: 'Preventive', frequency: 'Annually' }
+};
+
+// Legacy asset names and the asset library category they belong to
+const ASSET_CATEGORY_MAP = {
+  'Building Structure, Common Walls, Gates': 'Structural',
+  'CCTV Surveillance System': 'Security',
+  'Club House': 'Other',
+  'Common Area, Roads, Lobby spaces': 'Structural',
+  'Common Washroom': 'Cleaning',
+  'Control Panels': 'Electrical',
+  'Fire Fighting System': 'Fire Safety',
+  'Garden': 'Landscaping',
+  'Guest House': 'Other',
+  'Housekeeping Materials': 'Cleaning',
+  'Lifts': 'Elevator',
+  'Mandir': 'Other',
+  'Motors & Electrical Fittings': 'Electrical',
+  'Parking': 'Structural',
+  'Plumbing Lines': 'Plumbing',
+  'STP System': 'Waste Management',
+  'Society Office': 'Other',
+  'Solar System': 'Electrical',
+  'Tool Kit': 'Other',
+  'Tube, Light, Bulb, COB': 'Electrical',
+  'Underground Drainange System': 'Plumbing',
+  'WTP System': 'Water System',
+  'Water Meter PCMC': 'Water System',
+  'Water Tanks': 'Water System'
+};
+
+// Rows without a specific asset are attached to a catch-all asset
+const GENERAL_ASSET_NAME = 'General';
+const NOT_APPLICABLE_ASSETS = ['', 'NOT APPLICABLE'];
+
+const COST_TYPE_MAP = {
+  'Operational Cost': 'Operational',
+  'Maintenance Cost': 'Maintenance',
+  'Not Applicable': 'Not Applicable'
+};
+
+const PAYMENT_METHOD_MAP = {
+  'Bank Pay': 'Bank',
+  'Cash Pay': 'Cash',
+  'Not Applicable': 'Not Applicable'
+};
+
+/**
+ * Legacy Task Import Service
+ * Reads the legacy task register (XLSX/CSV or the pre-converted JSON) and maps each row
+ * onto Asset Library Items, Assets and Tasks. Imports are keyed on the register's Sr No,
+ * so running the same file again updates tasks instead of duplicating them.
+ */
+class LegacyTaskImportService {
+  /**
+   * Convert a spreadsheet header to the camelCase key used in imported-data.json
+   * e.g. "Assign Date\n(YYYY-MM-DD)" -> "assignDateYyyyMmDd", "1st Day " -> "1stDay"
+   * @param {string} header - Raw header text
+   * @returns {string} Normalised key
+   */
+  normalizeHeader(header) {
+    const words = String(header || '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return words
+      .map((word, index) => {
+        const lower = word.toLowerCase();
+        return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+      })
+      .join('');
+  }
+
+  /**
+   * Read register rows from an XLSX/CSV file or a JSON export (imported-data.json format)
+   * @param {string} filePath - Path to the file
+   * @param {Object} [options]
+   * @param {string} [options.sheetName] - Worksheet to read (default: "Tasks", else the first sheet)
+   * @returns {Array} Row objects keyed by normalised header
+   */
+  async readRows(filePath, { sheetName } = {}) {
+    if (path.extname(filePath).toLowerCase() !== '.json') {
+      const worksheet = await spreadsheetService.loadWorksheet({
+        filePath,
+        format: spreadsheetService.getFormat(filePath),
+        sheetName,
+        defaultSheetName: 'Tasks'
+      });
+      return spreadsheetService
+        .getRows(worksheet, header => this.normalizeHeader(header))
+        .map(row => row.values);
+    }
+
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const rows = Array.isArray(data) ? data : data.tasks;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must be an array of rows or contain a "tasks" array');
+    }
+    return rows;
+  }
+
+  /**
+   * Parse a register date: Excel serial number (or its digits as text), Date, "DD-MM-YYYY",
+   *   "DD-MM-YY" or ISO string
+   * @param {*} value - Raw cell value
+   * @returns {Date|null} Parsed date, or null if empty/unparseable
+   */
+  parseDate(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+    const text = String(value).trim();
+
+    // CSV cells arrive as text, so all-digit strings are serial dates too
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(text)) {
+      // Excel serial dates count days from 1899-12-30
+      return new Date(Math.round((Number(text) - 25569) * 24 * 60 * 60 * 1000));
+    }
+
+    const dayFirst = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+    if (dayFirst) {
+      const [, day, month, year] = dayFirst;
+      const fullYear = year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+      return new Date(Date.UTC(fullYear, parseInt(month) - 1, parseInt(day)));
+    }
+
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  /**
+   * Parse a numeric cell, returning undefined for blanks
+   * @param {*} value - Raw cell value
+   * @returns {number|undefined}
+   */
+  parseNumber(value) {
+    if (value === '' || value === null || value === undefined) return undefined;
+    const number = Number(String(value).replace(/[^0-9.-]/g, ''));
+    return Number.isNaN(number) ? undefined : number;
+  }
+
+  /**
+   * Build a short task title from the register's description
+   * @param {string} description - Task description
+   * @returns {string} Title of at most 80 characters
+   */
+  buildTitle(description) {
+    if (description.length <= 80) return description;
+    const cut = description.slice(0, 77);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 40 ? cut.lastIndexOf(' ') : 77)}...`;
+  }
+
+  /**
+   * Map one register row to task, asset and library item data
+   * @param {Object} row - Row keyed by normalised header
+   * @param {Function} noteUnmapped - Callback (field, value) for values with no mapping
+   * @returns {Object} { skipReason } or { srNo, assetName, category, area, task }
+   */
+  mapRow(row, noteUnmapped) {
+    const text = value => String(value === undefined || value === null ? '' : value).trim();
+    const description = text(row.taskDescription);
+    const srNo = this.parseNumber(row.srNo);
+
+    if (!description) {
+      return { skipReason: 'Missing task description', srNo };
+    }
+    if (srNo === undefined) {
+      return { skipReason: 'Missing Sr No', srNo };
+    }
+
+    const assignDate = this.parseDate(row.assignDateYyyyMmDd);
+    if (!assignDate) {
+      return { skipReason: 'Missing or invalid assign date', srNo };
+    }
+
+    const closedDate = this.parseDate(row.closedDateYyyyMmDd);
+    if (text(row.closedDateYyyyMmDd) && !closedDate) {
+      noteUnmapped('closedDateYyyyMmDd', row.closedDateYyyyMmDd);
+    }
+
+    // Status: ambiguous or blank statuses are decided by whether the row has a closed date
+    const legacyStatus = text(row.currentStatus);
+    let status = STATUS_MAP[legacyStatus];
+    if (!status) {
+      if (legacyStatus && legacyStatus !== 'Time Over Spend') {
+        noteUnmapped('currentStatus', legacyStatus);
+      }
+      status = closedDate ? 'Completed' : (legacyStatus ? 'InProgress' : 'Pending');
+    }
+
+    // Day-by-day status columns become dated history entries
+    const dailyStatus = [];
+    for (let day = 1; day <= DAILY_STATUS_COLUMNS; day++) {
+      const suffix = day === 1 ? 'st' : day === 2 ? 'nd' : day === 3 ? 'rd' : 'th';
+      const code = text(row[`${day}${suffix}Day`]);
+      if (!code) continue;
+
+      if (!DAILY_STATUS_MAP[code]) {
+        noteUnmapped(`${day}${suffix}Day`, code);
+      }
+
+      dailyStatus.push({
+        day,
+        date: new Date(assignDate.getTime() + (day - 1) * 24 * 60 * 60 * 1000),
+        code,
+        status: DAILY_STATUS_MAP[code] || null
+      });
+    }
+
+    const legacyOrigin = text(row.origine);
+    const originMapping = ORIGIN_MAP[legacyOrigin] || { origin: 'Manual' };
+    if (legacyOrigin && !ORIGIN_MAP[legacyOrigin]) {
+      noteUnmapped('origine', legacyOrigin);
+    }
+
+    const legacyAsset = text(row.asset);
+    const isGeneral = NOT_APPLICABLE_ASSETS.includes(legacyAsset.toUpperCase());
+    const assetName = isGeneral ? GENERAL_ASSET_NAME : legacyAsset;
+    let category = isGeneral ? 'Other' : ASSET_CATEGORY_MAP[legacyAsset];
+    if (!category) {
+      noteUnmapped('asset', legacyAsset);
+      category = 'Other';
+    }
+
+    const task = {
+      title: this.buildTitle(description),
+      description,
+      status,
+      scheduledDate: assignDate,
+      origin: originMapping.origin,
+      importRef: {
+        source: IMPORT_SOURCE,
+        srNo,
+        origin: legacyOrigin || undefined,
+        receivedVia: text(row.complaintReceivedMedium) || undefined,
+        area: text(row.area) || undefined,
+        categoryNature: text(row.categoryNature) || undefined,
+        type: text(row.type) || undefined,
+        daysGranted: this.parseNumber(row.daysGranted),
+        daysTaken: this.parseNumber(row.daysTaken),
+        delayDays: this.parseNumber(row.priorOrDelayClosure),
+        dailyStatus,
+        importedAt: new Date()
+      }
+    };
+
+    if (originMapping.frequency) {
+      task.maintenanceSchedule = { frequency: originMapping.frequency, dueDate: assignDate };
+    }
+
+    // The register's days granted is the task's resolution target (closing later is a breach)
+    const daysGranted = task.importRef.daysGranted;
+    if (daysGranted !== undefined && daysGranted >= 0) {
+      task.sla = {
+        category,
+        startedAt: assignDate,
+        resolutionDueBy: new Date(assignDate.getTime() + daysGranted * 24 * 60 * 60 * 1000)
+      };
+    }
+
+    if (status !== 'Pending' && status !== 'QuotationPhase' && status !== 'PendingApproval') {
+      task.actualStartTime = assignDate;
+    }
+
+    if (status === 'Completed') {
+      // Fall back to the day the register first shows CL, then to the assign date
+      const closedEntry = dailyStatus.find(entry => entry.code === 'CL');
+      const completedAt = closedDate || closedEntry?.date || assignDate;
+      task.actualEndTime = completedAt;
+      task.verifiedAt = completedAt;
+    }
+
+    // Cost columns
+    const legacyCostType = text(row.costType);
+    const legacyPaymentMethod = text(row.paymentMethod);
+    const costAmount = this.parseNumber(row.costIncured);
+    if (legacyCostType && !COST_TYPE_MAP[legacyCostType]) noteUnmapped('costType', legacyCostType);
+    if (legacyPaymentMethod && !PAYMENT_METHOD_MAP[legacyPaymentMethod]) noteUnmapped('paymentMethod', legacyPaymentMethod);
+
+    if (costAmount !== undefined || COST_TYPE_MAP[legacyCostType] || PAYMENT_METHOD_MAP[legacyPaymentMethod]) {
+      task.actualCost = {
+        amount: costAmount,
+        currency: 'INR',
+        costType: COST_TYPE_MAP[legacyCostType],
+        paymentMethod: PAYMENT_METHOD_MAP[legacyPaymentMethod],
+        recordedAt: task.actualEndTime || assignDate
+      };
+    }
+
+    return {
+      srNo,
+      assetName,
+      category,
+      area: text(row.area),
+      task
+    };
+  }
+
+  /**
+   * Write the register's day-by-day statuses to the task history (first import only,
+   * since history entries are immutable)
+   * @param {Object} task - Newly imported task
+   */
+  async recordImportedHistory(task) {
+    const { srNo, dailyStatus = [] } = task.importRef;
+    const steps = [{ date: task.scheduledDate, status: dailyStatus[0]?.status || task.status }];
+
+    // One entry per change of status in the register
+    dailyStatus.forEach(entry => {
+      if (entry.status && entry.status !== steps[steps.length - 1].status) {
+        steps.push({ date: entry.date, status: entry.status });
+      }
+    });
+
+    if (steps[steps.length - 1].status !== task.status) {
+      steps.push({ date: task.actualEndTime || task.scheduledDate, status: task.status });
+    }
+
+    let fromStatus;
+    for (const step of steps) {
+      await taskHistoryService.record(task, {
+        action: 'Imported',
+        fromStatus,
+        toStatus: step.status,
+        notes: `Imported from the legacy task register (Sr No ${srNo})`,
+        occurredAt: step.date
+      });
+      fromStatus = step.status;
+    }
+  }
+
+  /**
+   * Resolve the admin, society and manager an import is for
+   * @param {Object} options
+   * @param {string} options.adminEmail - Email of the admin who owns the data
+   * @param {string} options.society - Society name or ID (must belong to the admin)
+   * @param {string} [options.managerEmail] - Manager to assign tasks to (default: the society's default manager)
+   * @returns {Object} { admin, society, manager }
+   */
+  async resolveTargets({ adminEmail, society: societyRef, managerEmail }) {
+    if (!adminEmail || !societyRef) {
+      throw new Error('Both --admin <email> and --society <name|id> are required');
+    }
+
+    const admin = await User.findOne({ email: adminEmail.toLowerCase(), role: 'Admin', isActive: true });
+    if (!admin) {
+      throw new Error(`Admin "${adminEmail}" not found`);
+    }
+
+    const societyFilter = mongoose.Types.ObjectId.isValid(societyRef)
+      ? { _id: societyRef }
+      : { name: societyRef };
+    const society = await Society.findOne({ ...societyFilter, adminId: admin._id, isActive: true });
+    if (!society) {
+      throw new Error(`Society "${societyRef}" not found for admin ${admin.email}`);
+    }
+
+    const manager = managerEmail
+      ? await User.findOne({ email: managerEmail.toLowerCase(), role: 'Manager', adminId: admin._id, isActive: true })
+      : await maintenanceSchedulerService.resolveDefaultManager(society, admin);
+    if (!manager) {
+      throw new Error(managerEmail
+        ? `Manager "${managerEmail}" not found for admin ${admin.email}`
+        : 'No default manager configured; pass --manager <email>');
+    }
+
+    return { admin, society, manager };
+  }
+
+  /**
+   * Import register rows for one admin and society
+   * @param {Array} rows - Rows keyed by normalised header
+   * @param {Object} options
+   * @param {Object} options.admin - Admin user document the data belongs to
+   * @param {Object} options.society - Society document the register is for
+   * @param {Object} options.manager - Manager the imported tasks are assigned to
+   * @param {boolean} [options.dryRun] - Map and report without writing anything
+   * @returns {Object} Import report
+   */
+  async importRows(rows, { admin, society, manager, dryRun = false }) {
+    const report = {
+      dryRun,
+      totalRows: rows.length,
+      emptyRows: 0,
+      skipped: [],
+      tasks: { created: 0, updated: 0 },
+      assets: { created: 0, existing: 0 },
+      assetLibraryItems: { created: 0, existing: 0 },
+      unmapped: {}
+    };
+
+    const noteUnmapped = (field, value) => {
+      const key = String(value);
+      report.unmapped[field] = report.unmapped[field] || {};
+      report.unmapped[field][key] = (report.unmapped[field][key] || 0) + 1;
+    };
+
+    const libraryItemCache = new Map();
+    const assetCache = new Map();
+
+    const findOrCreateLibraryItem = async (name, category) => {
+      if (libraryItemCache.has(name)) return libraryItemCache.get(name);
+
+      let item = await AssetLibraryItem.findOne({ adminId: admin._id, name, isActive: true });
+      if (item) {
+        report.assetLibraryItems.existing++;
+      } else {
+        item = new AssetLibraryItem({
+          name,
+          category,
+          adminId: admin._id,
+          maintenanceFrequency: 'As Needed',
+          description: 'Imported from the legacy task register'
+        });
+        if (!dryRun) await item.save();
+        report.assetLibraryItems.created++;
+      }
+
+      libraryItemCache.set(name, item);
+      return item;
+    };
+
+    const findOrCreateAsset = async (name, category, area) => {
+      const key = `${name}|${area}`;
+      if (assetCache.has(key)) return assetCache.get(key);
+
+      const libraryItem = await findOrCreateLibraryItem(name, category);
+      const assetFilter = {
+        adminId: admin._id,
+        societyId: society._id,
+        name,
+        isActive: true,
+        'location.building': area || { $exists: false }
+      };
+
+      let asset = await Asset.findOne(assetFilter);
+      if (asset) {
+        report.assets.existing++;
+      } else {
+        asset = new Asset({
+          name,
+          assetLibraryItemId: libraryItem._id,
+          societyId: society._id,
+          adminId: admin._id,
+          location: area ? { building: area } : {},
+          notes: 'Imported from the legacy task register'
+        });
+        if (!dryRun) await asset.save();
+        report.assets.created++;
+      }
+
+      assetCache.set(key, asset);
+      return asset;
+    };
+
+    for (const row of rows) {
+      const isEmpty = Object.values(row).every(value => String(value === null || value === undefined ? '' : value).trim() === '');
+      if (isEmpty) {
+        report.emptyRows++;
+        continue;
+      }
+
+      const mapped = this.mapRow(row, noteUnmapped);
+      if (mapped.skipReason) {
+        // Numbered rows with nothing but a number are blank template rows, not data
+        const hasData = Object.entries(row).some(([key, value]) => key !== 'srNo' && String(value).trim() !== '');
+        if (hasData) {
+          report.skipped.push({ srNo: mapped.srNo ?? null, reason: mapped.skipReason });
+        } else {
+          report.emptyRows++;
+        }
+        continue;
+      }
+
+      const asset = await findOrCreateAsset(mapped.assetName, mapped.category, mapped.area);
+
+      const taskData = {
+        ...mapped.task,
+        assetId: asset._id,
+        societyId: society._id,
+        adminId: admin._id,
+        assignedManagerId: manager._id,
+        verifiedBy: mapped.task.status === 'Completed' ? admin._id : undefined
+      };
+      if (taskData.actualCost) {
+        taskData.actualCost.recordedBy = admin._id;
+      }
+
+      // Sr. numbers restart in each society's register
+      const existingTask = await Task.findOne({
+        adminId: admin._id,
+        societyId: society._id,
+        'importRef.source': IMPORT_SOURCE,
+        'importRef.srNo': mapped.srNo
+      });
+
+      if (existingTask) {
+        if (!dryRun) {
+          existingTask.set(taskData);
+          await existingTask.save();
+        }
+        report.tasks.updated++;
+      } else {
+        if (!dryRun) {
+          const task = await Task.create(taskData);
+          await this.recordImportedHistory(task);
+        }
+        report.tasks.created++;
+      }
+    }
+
+    return report;
+  }
+}
+
+// Create singleton instance
+const legacyTaskImportService = new LegacyTaskImportService();
+
+module.exports = legacyTaskImportService;
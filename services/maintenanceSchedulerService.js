@@ -0,0 +1,265 @@
+const Asset = require('../models/Asset');
+const Society = require('../models/Society');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskHistoryService = require('./taskHistoryService');
+const slaService = require('./slaService');
+
+// Frequencies the scheduler can generate tasks for ('As Needed' is never scheduled)
+const SCHEDULABLE_FREQUENCIES = ['Daily', 'Weekly', 'Monthly', 'Quarterly', 'Annually'];
+
+// Statuses that mean a preventive task is still open for an asset
+const OPEN_TASK_STATUSES = ['QuotationPhase', 'PendingApproval', 'Pending', 'InProgress', 'PendingVerification', 'RequiresAttention'];
+
+/**
+ * Maintenance Scheduler Service
+ * Generates preventive maintenance tasks from AssetLibraryItem.maintenanceFrequency
+ * and advances asset maintenance dates when those tasks are completed
+ */
+class MaintenanceSchedulerService {
+  /**
+   * Calculate the next maintenance date for a frequency
+   * @param {Date} fromDate - Date the previous maintenance was (or would have been) done
+   * @param {string} frequency - One of SCHEDULABLE_FREQUENCIES
+   * @returns {Date|null} Next due date, or null if the frequency is not schedulable
+   */
+  calculateNextDate(fromDate, frequency) {
+    const next = new Date(fromDate);
+
+    switch (frequency) {
+      case 'Daily':
+        next.setDate(next.getDate() + 1);
+        break;
+      case 'Weekly':
+        next.setDate(next.getDate() + 7);
+        break;
+      case 'Monthly':
+        return this.addMonths(next, 1);
+      case 'Quarterly':
+        return this.addMonths(next, 3);
+      case 'Annually':
+        return this.addMonths(next, 12);
+      default:
+        return null;
+    }
+
+    return next;
+  }
+
+  /**
+   * Add months without overflowing short months (Jan 31 + 1 month = Feb 28/29)
+   * @param {Date} date - Start date (modified in place)
+   * @param {number} months - Number of months to add
+   * @returns {Date} Resulting date
+   */
+  addMonths(date, months) {
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  /**
+   * Work out when an asset is next due, initialising nextMaintenanceDate if it was never set
+   * @param {Object} asset - Asset document with populated assetLibraryItemId
+   * @returns {Date|null} Due date
+   */
+  getDueDate(asset) {
+    if (asset.nextMaintenanceDate) {
+      return asset.nextMaintenanceDate;
+    }
+
+    const baseDate = asset.lastMaintenanceDate || asset.installationDate || asset.createdAt;
+    return this.calculateNextDate(baseDate, asset.assetLibraryItemId.maintenanceFrequency);
+  }
+
+  /**
+   * Resolve the manager preventive tasks for a society should be assigned to
+   * @param {Object} society - Society document
+   * @param {Object} admin - Admin user document
+   * @returns {Object|null} Active manager belonging to the admin
+   */
+  async resolveDefaultManager(society, admin) {
+    const candidates = [
+      society.defaultManagerId,
+      admin.adminSettings?.maintenanceSettings?.defaultManagerId
+    ].filter(Boolean);
+
+    for (const managerId of candidates) {
+      const manager = await User.findOne({
+        _id: managerId,
+        role: 'Manager',
+        adminId: admin._id,
+        isActive: true
+      });
+
+      if (manager) {
+        return manager;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find assets that are due for preventive maintenance
+   * @param {Object} options
+   * @param {string} [options.adminId] - Restrict to one admin (all admins if omitted)
+   * @param {Date} [options.asOf] - Reference date (default: now)
+   * @param {number} [options.lookaheadDays] - Override the admin's lookahead setting
+   * @returns {Array} Array of { asset, dueDate, admin }
+   */
+  async findDueAssets({ adminId, asOf = new Date(), lookaheadDays } = {}) {
+    const adminFilter = { role: 'Admin', isActive: true };
+    if (adminId) adminFilter._id = adminId;
+
+    const admins = await User.find(adminFilter);
+    const due = [];
+
+    for (const admin of admins) {
+      const days = lookaheadDays !== undefined
+        ? lookaheadDays
+        : (admin.adminSettings?.maintenanceSettings?.lookaheadDays ?? 3);
+      const horizon = new Date(asOf.getTime() + days * 24 * 60 * 60 * 1000);
+
+      const assets = await Asset.find({
+        adminId: admin._id,
+        isActive: true,
+        condition: { $ne: 'Out of Service' }
+      }).populate('assetLibraryItemId', 'name category maintenanceFrequency checklistTemplate isActive');
+
+      for (const asset of assets) {
+        const libraryItem = asset.assetLibraryItemId;
+        if (!libraryItem || !libraryItem.isActive) continue;
+        if (!SCHEDULABLE_FREQUENCIES.includes(libraryItem.maintenanceFrequency)) continue;
+
+        const dueDate = this.getDueDate(asset);
+        if (dueDate && dueDate <= horizon) {
+          due.push({ asset, dueDate, admin });
+        }
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Generate preventive maintenance tasks for every due asset
+   * An asset never gets a second preventive task while one is still open
+   * @param {Object} options - Same as findDueAssets, plus dryRun
+   * @returns {Object} Summary with created and skipped entries
+   */
+  async generateDueTasks({ dryRun = false, ...options } = {}) {
+    const dueAssets = await this.findDueAssets(options);
+    const societyCache = new Map();
+    const created = [];
+    const skipped = [];
+
+    for (const { asset, dueDate, admin } of dueAssets) {
+      const libraryItem = asset.assetLibraryItemId;
+
+      const openTask = await Task.exists({
+        assetId: asset._id,
+        origin: 'Preventive',
+        status: { $in: OPEN_TASK_STATUSES },
+        isActive: true
+      });
+
+      if (openTask) {
+        skipped.push({ assetId: asset._id, assetName: asset.name, reason: 'Open preventive task already exists' });
+        continue;
+      }
+
+      const societyKey = asset.societyId.toString();
+      if (!societyCache.has(societyKey)) {
+        const society = await Society.findOne({ _id: asset.societyId, isActive: true });
+        const manager = society ? await this.resolveDefaultManager(society, admin) : null;
+        societyCache.set(societyKey, { society, manager });
+      }
+
+      const { society, manager } = societyCache.get(societyKey);
+
+      if (!society) {
+        skipped.push({ assetId: asset._id, assetName: asset.name, reason: 'Society not found or inactive' });
+        continue;
+      }
+
+      if (!manager) {
+        skipped.push({ assetId: asset._id, assetName: asset.name, reason: 'No default manager configured' });
+        continue;
+      }
+
+      const taskData = {
+        title: `${libraryItem.maintenanceFrequency} maintenance: ${asset.name}`,
+        description: `Scheduled ${libraryItem.maintenanceFrequency.toLowerCase()} preventive maintenance for ${asset.name} (${libraryItem.name}).`,
+        assetId: asset._id,
+        societyId: asset.societyId,
+        adminId: admin._id,
+        assignedManagerId: manager._id,
+        scheduledDate: dueDate,
+        origin: 'Preventive',
+        maintenanceSchedule: {
+          frequency: libraryItem.maintenanceFrequency,
+          dueDate
+        },
+        checklist: libraryItem.buildTaskChecklist()
+      };
+
+      if (dryRun) {
+        created.push(taskData);
+        continue;
+      }
+
+      const task = new Task(taskData);
+      await slaService.applyToTask(task, { category: libraryItem.category });
+      await task.save();
+
+      await taskHistoryService.record(task, {
+        action: 'Created',
+        notes: `Generated by the ${libraryItem.maintenanceFrequency.toLowerCase()} preventive maintenance schedule`
+      });
+
+      // Persist the due date so it stays stable until the task is completed
+      if (!asset.nextMaintenanceDate) {
+        asset.nextMaintenanceDate = dueDate;
+        await asset.save();
+      }
+
+      created.push(task);
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Advance an asset's maintenance dates after a preventive task is verified as completed
+   * @param {Object} task - Completed task document
+   * @returns {Object|null} Updated asset, or null if nothing changed
+   */
+  async recordCompletion(task) {
+    if (task.origin !== 'Preventive' || task.status !== 'Completed') {
+      return null;
+    }
+
+    const asset = await Asset.findById(task.assetId).populate('assetLibraryItemId', 'maintenanceFrequency');
+    if (!asset) {
+      return null;
+    }
+
+    const frequency = task.maintenanceSchedule?.frequency || asset.assetLibraryItemId?.maintenanceFrequency;
+    const completedAt = task.actualEndTime || task.verifiedAt || new Date();
+
+    asset.lastMaintenanceDate = completedAt;
+    asset.nextMaintenanceDate = this.calculateNextDate(completedAt, frequency) || undefined;
+    await asset.save();
+
+    return asset;
+  }
+}
+
+// Create singleton instance
+const maintenanceSchedulerService = new MaintenanceSchedulerService();
+
+module.exports = maintenanceSchedulerService;
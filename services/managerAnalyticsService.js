@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+
+// Statuses that count towards a manager's open load
+const OPEN_TASK_STATUSES = ['QuotationPhase', 'PendingApproval', 'Pending', 'InProgress', 'PendingVerification', 'RequiresAttention'];
+
+const toObjectId = id => new mongoose.Types.ObjectId(id);
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : null);
+
+/**
+ * Manager Analytics Service
+ * Workload and performance figures per manager, for monthly reviews and for balancing
+ * assignments.
+ *
+ * Within the date range:
+ * - assigned: tasks created for the manager
+ * - completed: tasks verified as Completed
+ * - rejected: submissions the admin rejected in verifyTask
+ * - on time: completed tasks whose approved work was submitted by the SLA resolution
+ *   due-by time, or by the scheduled date for tasks without an SLA
+ * Open load is always the current state, whatever the range.
+ */
+class ManagerAnalyticsService {
+  /**
+   * Get the open tasks per manager
+   * @param {string} adminId - Owning admin
+   * @param {Array} managerIds - Managers to include
+   * @param {Date} [now] - Current time (for overdue)
+   * @returns {Map} managerId -> { openTasks, overdueTasks, openEstimatedMinutes }
+   */
+  async getOpenLoad(adminId, managerIds, now = new Date()) {
+    const results = await Task.aggregate([
+      {
+        $match: {
+          adminId: toObjectId(adminId),
+          assignedManagerId: { $in: managerIds.map(toObjectId) },
+          isActive: true,
+          status: { $in: OPEN_TASK_STATUSES }
+        }
+      },
+      {
+        $group: {
+          _id: '$assignedManagerId',
+          openTasks: { $sum: 1 },
+          overdueTasks: { $sum: { $cond: [{ $lt: ['$scheduledDate', now] }, 1, 0] } },
+          openEstimatedMinutes: { $sum: { $ifNull: ['$estimatedDuration', 0] } }
+        }
+      }
+    ]);
+
+    return new Map(results.map(({ _id, ...load }) => [String(_id), load]));
+  }
+
+  /**
+   * Get assigned/completed/rejected counts, durations and on-time completion per manager
+   * @param {Object} match - Task filter (admin, managers)
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Object} { assigned, completed, rejected } Maps keyed by managerId
+   */
+  async getActivity(match, from, to) {
+    const range = { $gte: from, $lt: to };
+
+    const [assigned, completed, rejected] = await Promise.all([
+      Task.aggregate([
+        { $match: { ...match, createdAt: range } },
+        { $group: { _id: '$assignedManagerId', assigned: { $sum: 1 } } }
+      ]),
+      Task.aggregate([
+        { $match: { ...match, status: 'Completed', verifiedAt: range } },
+        {
+          $project: {
+            assignedManagerId: 1,
+            estimatedDuration: 1,
+            actualDuration: {
+              $cond: [
+                { $and: ['$actualStartTime', '$actualEndTime'] },
+                { $divide: [{ $subtract: ['$actualEndTime', '$actualStartTime'] }, 60 * 1000] },
+                null
+              ]
+            },
+            // When the approved work was submitted (imported tasks only have actualEndTime)
+            finishedAt: {
+              $ifNull: [
+                {
+                  $max: {
+                    $map: {
+                      input: {
+                        $filter: {
+                          input: { $ifNull: ['$submissions', []] },
+                          cond: { $eq: ['$$this.outcome', 'Approved'] }
+                        }
+                      },
+                      in: '$$this.submittedAt'
+                    }
+                  }
+                },
+                '$actualEndTime'
+              ]
+            },
+            dueBy: { $ifNull: ['$sla.resolutionDueBy', '$scheduledDate'] }
+          }
+        },
+        {
+          $group: {
+            _id: '$assignedManagerId',
+            completed: { $sum: 1 },
+            timedTasks: { $sum: { $cond: [{ $ne: ['$actualDuration', null] }, 1, 0] } },
+            actualMinutes: { $sum: { $ifNull: ['$actualDuration', 0] } },
+            estimatedMinutes: { $sum: { $cond: [{ $ne: ['$actualDuration', null] }, '$estimatedDuration', 0] } },
+            finishedTasks: { $sum: { $cond: ['$finishedAt', 1, 0] } },
+            onTimeCompleted: { $sum: { $cond: [{ $and: ['$finishedAt', { $lte: ['$finishedAt', '$dueBy'] }] }, 1, 0] } }
+          }
+        }
+      ]),
+      Task.aggregate([
+        {
+          $match: {
+            ...match,
+            submissions: { $elemMatch: { outcome: 'Rejected', reviewedAt: range } }
+          }
+        },
+        { $unwind: '$submissions' },
+        { $match: { 'submissions.outcome': 'Rejected', 'submissions.reviewedAt': range } },
+        {
+          $group: {
+            _id: '$assignedManagerId',
+            rejected: { $sum: 1 },
+            tasks: { $addToSet: '$_id' }
+          }
+        },
+        { $project: { rejected: 1, rejectedTasks: { $size: '$tasks' } } }
+      ])
+    ]);
+
+    const byManager = results => new Map(results.map(({ _id, ...counts }) => [String(_id), counts]));
+    return {
+      assigned: byManager(assigned),
+      completed: byManager(completed),
+      rejected: byManager(rejected)
+    };
+  }
+
+  /**
+   * Turn raw counts into a report line
+   * @param {Object} counts - Summed counts
+   * @returns {Object} Report line
+   */
+  buildLine(counts) {
+    const {
+      assigned = 0, completed = 0, rejected = 0, rejectedTasks = 0,
+      timedTasks = 0, actualMinutes = 0, estimatedMinutes = 0, finishedTasks = 0, onTimeCompleted = 0,
+      openTasks = 0, overdueTasks = 0, openEstimatedMinutes = 0
+    } = counts;
+
+    return {
+      assigned,
+      completed,
+      rejected,
+      rejectedTasks,
+      // Durations in minutes, over completed tasks with start and end times
+      averageActualDuration: timedTasks > 0 ? Math.round(actualMinutes / timedTasks) : null,
+      averageEstimatedDuration: timedTasks > 0 ? Math.round(estimatedMinutes / timedTasks) : null,
+      durationRatio: estimatedMinutes > 0 ? Math.round((actualMinutes / estimatedMinutes) * 100) / 100 : null,
+      onTimeCompleted,
+      onTimeRate: percentage(onTimeCompleted, finishedTasks),
+      openTasks,
+      overdueTasks,
+      openEstimatedMinutes
+    };
+  }
+
+  /**
+   * Build the performance report for an admin's managers
+   * @param {string} adminId - Owning admin
+   * @param {Object} options
+   * @param {Date} options.from - Range start
+   * @param {Date} options.to - Range end (exclusive)
+   * @param {string} [options.managerId] - Limit to one manager
+   * @returns {Object} { period, managers, totals }
+   */
+  async getPerformance(adminId, { from, to, managerId }) {
+    const managerFilter = { role: 'Manager', adminId };
+    if (managerId) {
+      managerFilter._id = managerId;
+    }
+    const managers = await User.find(managerFilter)
+      .select('firstName lastName email isActive')
+      .sort({ firstName: 1, lastName: 1 });
+
+    const managerIds = managers.map(manager => manager._id);
+    const match = {
+      adminId: toObjectId(adminId),
+      assignedManagerId: { $in: managerIds },
+      isActive: true
+    };
+
+    const [activity, openLoad] = await Promise.all([
+      this.getActivity(match, from, to),
+      this.getOpenLoad(adminId, managerIds)
+    ]);
+
+    const totals = {};
+    const lines = managers
+      .map(manager => {
+        const key = String(manager._id);
+        const counts = {
+          ...activity.assigned.get(key),
+          ...activity.completed.get(key),
+          ...activity.rejected.get(key),
+          ...openLoad.get(key)
+        };
+        Object.entries(counts).forEach(([field, value]) => {
+          totals[field] = (totals[field] || 0) + value;
+        });
+
+        return {
+          managerId: manager._id,
+          managerName: `${manager.firstName} ${manager.lastName}`,
+          email: manager.email,
+          isActive: manager.isActive,
+          ...this.buildLine(counts),
+          hasActivity: Object.keys(counts).length > 0
+        };
+      })
+      // Deactivated managers are only listed when they have something to show
+      .filter(line => line.isActive || line.hasActivity)
+      .map(({ hasActivity, ...line }) => line);
+
+    return {
+      period: { from, to },
+      managers: lines,
+      totals: this.buildLine(totals)
+    };
+  }
+}
+
+// Create singleton instance
+const managerAnalyticsService = new ManagerAnalyticsService();
+
+module.exports = managerAnalyticsService;
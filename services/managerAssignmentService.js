@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Asset = require('../models/Asset');
+const AssetLibraryItem = require('../models/AssetLibraryItem');
+const User = require('../models/User');
+const managerAnalyticsService = require('./managerAnalyticsService');
+
+// How much each factor counts towards a manager's score (adds up to 1)
+const SCORE_WEIGHTS = {
+  load: 0.35,
+  skills: 0.25,
+  availability: 0.2,
+  experience: 0.2
+};
+
+// Statuses of tasks that keep a manager busy on their scheduled day
+const BOOKED_TASK_STATUSES = ['Pending', 'InProgress', 'RequiresAttention'];
+
+const toObjectId = id => new mongoose.Types.ObjectId(id);
+
+const normalizeSkill = skill => String(skill).trim().toLowerCase();
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Time of day of a date as "HH:mm", comparable with workingHours start and end times
+const getTimeOfDay = date => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+// Start of the day a date falls on, and of the next day
+const getDayBounds = (date) => {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  return { dayStart, dayEnd };
+};
+
+/**
+ * Manager Assignment Service
+ * Ranks an admin's active managers for a new task on an asset. Each factor is scored
+ * from 0 to 1 and weighted (SCORE_WEIGHTS) into a score out of 100:
+ * - load: fewest open tasks (relative to the busiest candidate)
+ * - skills: share of the asset type's requiredSkills the manager has
+ * - availability: fewest tasks already booked on the scheduled day (0 outside working days or hours)
+ * - experience: fastest average completion time on the asset's category
+ *   (managers who never completed one score 0)
+ *
+ * Managers who don't cover the society or are on leave that day are listed last with
+ * their problems in `unavailable`, and never auto-assigned.
+ */
+class ManagerAssignmentService {
+  /**
+   * Get completed task counts and average durations on a category per manager
+   * @param {string} adminId - Owning admin
+   * @param {string} category - Asset library category
+   * @param {Array} managerIds - Managers to include
+   * @returns {Map} managerId -> { completed, averageDuration }
+   */
+  async getCategoryHistory(adminId, category, managerIds) {
+    if (!category) return new Map();
+
+    const libraryItemIds = await AssetLibraryItem.find({ adminId, category }).distinct('_id');
+    const assetIds = await Asset.find({ adminId, assetLibraryItemId: { $in: libraryItemIds } }).distinct('_id');
+
+    const results = await Task.aggregate([
+      {
+        $match: {
+          adminId: toObjectId(adminId),
+          assignedManagerId: { $in: managerIds.map(toObjectId) },
+          assetId: { $in: assetIds },
+          status: 'Completed',
+          isActive: true,
+          actualStartTime: { $ne: null },
+          actualEndTime: { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: '$assignedManagerId',
+          completed: { $sum: 1 },
+          averageDuration: { $avg: { $divide: [{ $subtract: ['$actualEndTime', '$actualStartTime'] }, 60 * 1000] } }
+        }
+      }
+    ]);
+
+    return new Map(results.map(({ _id, ...history }) => [String(_id), history]));
+  }
+
+  /**
+   * Count the open tasks each manager already has booked on a day
+   * @param {string} adminId - Owning admin
+   * @param {Array} managerIds - Managers to include
+   * @param {Date} date - Any time on the day
+   * @returns {Map} managerId -> task count
+   */
+  async getBookedTasks(adminId, managerIds, date) {
+    const { dayStart, dayEnd } = getDayBounds(date);
+
+    const results = await Task.aggregate([
+      {
+        $match: {
+          adminId: toObjectId(adminId),
+          assignedManagerId: { $in: managerIds.map(toObjectId) },
+          isActive: true,
+          status: { $in: BOOKED_TASK_STATUSES },
+          scheduledDate: { $gte: dayStart, $lt: dayEnd }
+        }
+      },
+      { $group: { _id: '$assignedManagerId', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(results.map(result => [String(result._id), result.count]));
+  }
+
+  /**
+   * Check whether a manager can be assigned a task in a society on a date
+   * @param {Object} manager - Manager user document
+   * @param {Object} options
+   * @param {string} options.societyId - Task's society
+   * @param {Date} options.scheduledDate - Task's scheduled date
+   * @returns {Object} { errors, warnings } lists of { code, message }. Errors (NotCovered,
+   *   OnLeave) block the assignment unless the admin overrides them; warnings (NotWorkingDay,
+   *   OutsideWorkingHours) don't. Dates without a time (midnight) skip the hours check.
+   */
+  checkAvailability(manager, { societyId, scheduledDate }) {
+    const errors = [];
+    const warnings = [];
+    const name = `${manager.firstName} ${manager.lastName}`;
+    const { dayStart, dayEnd } = getDayBounds(scheduledDate);
+
+    const coveredSocietyIds = manager.coveredSocietyIds || [];
+    if (coveredSocietyIds.length > 0 && !coveredSocietyIds.some(id => String(id) === String(societyId?._id || societyId))) {
+      errors.push({ code: 'NotCovered', message: `${name} does not cover this society.` });
+    }
+
+    const leave = (manager.leave || []).find(period => period.startDate < dayEnd && period.endDate >= dayStart);
+    if (leave) {
+      errors.push({
+        code: 'OnLeave',
+        message: `${name} is on leave from ${leave.startDate.toDateString()} to ${leave.endDate.toDateString()}${leave.reason ? ` (${leave.reason})` : ''}.`
+      });
+    }
+
+    const workingDays = manager.workingHours?.days || [];
+    if (workingDays.length > 0 && !workingDays.includes(dayStart.getDay())) {
+      warnings.push({ code: 'NotWorkingDay', message: `${name} does not work on ${DAY_NAMES[dayStart.getDay()]}s.` });
+    }
+
+    const { startTime, endTime } = manager.workingHours || {};
+    const time = getTimeOfDay(new Date(scheduledDate));
+    if (time !== '00:00' && ((startTime && time < startTime) || (endTime && time >= endTime))) {
+      warnings.push({
+        code: 'OutsideWorkingHours',
+        message: `${name} works ${startTime || '00:00'}-${endTime || '24:00'}; the task is scheduled at ${time}.`
+      });
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Rank the admin's active managers for a task on an asset
+   * @param {string} adminId - Owning admin
+   * @param {Object} options
+   * @param {Object} options.asset - Asset document with assetLibraryItemId populated
+   *   (category, requiredSkills)
+   * @param {Date} options.scheduledDate - When the task is planned
+   * @returns {Array} Suggestions, best first (unavailable managers last)
+   */
+  async suggestManagers(adminId, { asset, scheduledDate }) {
+    const libraryItem = asset.assetLibraryItemId || {};
+    const category = libraryItem.category;
+    const requiredSkills = libraryItem.requiredSkills || [];
+
+    const managers = await User.find({ role: 'Manager', adminId, isActive: true })
+      .select('firstName lastName email skills coveredSocietyIds workingHours leave');
+    if (managers.length === 0) return [];
+
+    const managerIds = managers.map(manager => manager._id);
+    const [openLoad, history, booked] = await Promise.all([
+      managerAnalyticsService.getOpenLoad(adminId, managerIds),
+      this.getCategoryHistory(adminId, category, managerIds),
+      this.getBookedTasks(adminId, managerIds, scheduledDate)
+    ]);
+
+    const openTasksOf = manager => openLoad.get(String(manager._id))?.openTasks || 0;
+    const bookedOf = manager => booked.get(String(manager._id)) || 0;
+    const maxOpenTasks = Math.max(...managers.map(openTasksOf));
+    const maxBooked = Math.max(...managers.map(bookedOf));
+    const averageDurations = [...history.values()].map(entry => entry.averageDuration).filter(duration => duration > 0);
+    const fastestDuration = averageDurations.length > 0 ? Math.min(...averageDurations) : null;
+
+    const suggestions = managers.map(manager => {
+      const key = String(manager._id);
+      const openTasks = openTasksOf(manager);
+      const tasksOnDate = bookedOf(manager);
+      const categoryHistory = history.get(key);
+
+      const { errors, warnings } = this.checkAvailability(manager, { societyId: asset.societyId, scheduledDate });
+
+      const managerSkills = new Set((manager.skills || []).map(normalizeSkill));
+      const matchedSkills = requiredSkills.filter(skill => managerSkills.has(normalizeSkill(skill)));
+      const missingSkills = requiredSkills.filter(skill => !managerSkills.has(normalizeSkill(skill)));
+
+      const scores = {
+        load: maxOpenTasks > 0 ? 1 - openTasks / maxOpenTasks : 1,
+        skills: requiredSkills.length > 0 ? matchedSkills.length / requiredSkills.length : 1,
+        // Nobody is available outside their working days or hours
+        availability: warnings.length > 0 ? 0 : (maxBooked > 0 ? 1 - tasksOnDate / maxBooked : 1),
+        experience: categoryHistory?.averageDuration > 0 && fastestDuration
+          ? fastestDuration / categoryHistory.averageDuration
+          : 0
+      };
+      const score = Object.entries(SCORE_WEIGHTS)
+        .reduce((total, [factor, weight]) => total + scores[factor] * weight, 0);
+
+      return {
+        managerId: manager._id,
+        managerName: `${manager.firstName} ${manager.lastName}`,
+        email: manager.email,
+        score: Math.round(score * 100),
+        scores: Object.fromEntries(Object.entries(scores).map(([factor, value]) => [factor, Math.round(value * 100) / 100])),
+        openTasks,
+        tasksOnDate,
+        categoryCompleted: categoryHistory?.completed || 0,
+        averageCategoryDuration: categoryHistory ? Math.round(categoryHistory.averageDuration) : null,
+        matchedSkills,
+        missingSkills,
+        available: errors.length === 0,
+        unavailable: errors,
+        warnings
+      };
+    });
+
+    // Available managers first; ties go to the manager with fewer open tasks
+    return suggestions.sort((a, b) => b.available - a.available || b.score - a.score || a.openTasks - b.openTasks);
+  }
+}
+
+// Create singleton instance
+const managerAssignmentService = new ManagerAssignmentService();
+
+module.exports = managerAssignmentService;
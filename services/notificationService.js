@@ -0,0 +1,464 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Society = require('../models/Society');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const SmtpNotificationDriver = require('./notifications/smtpNotificationDriver');
+const TwilioNotificationDriver = require('./notifications/twilioNotificationDriver');
+const LogNotificationDriver = require('./notifications/logNotificationDriver');
+
+// Notification channels and the drivers each can use, selected with NOTIFICATION_<CHANNEL>_DRIVER
+const CHANNEL_DRIVERS = {
+  email: { smtp: SmtpNotificationDriver, log: LogNotificationDriver },
+  sms: { twilio: TwilioNotificationDriver, log: LogNotificationDriver },
+  whatsapp: { twilio: TwilioNotificationDriver, log: LogNotificationDriver }
+};
+
+// Channels used when an admin has not chosen their own
+const DEFAULT_RESIDENT_CHANNELS = {
+  email: true,
+  sms: false,
+  whatsapp: false
+};
+
+// Issue lifecycle events residents are told about
+const RESIDENT_EVENTS = ['issueSubmitted', 'issueApproved', 'issueRejected', 'issueConverted', 'issueResolved'];
+
+// Placeholders templates can use as {{name}}
+const TEMPLATE_VARIABLES = [
+  'residentName',
+  'referenceNumber',
+  'issueTitle',
+  'societyName',
+  'organizationName',
+  'thankYouMessage',
+  'reviewNotes',
+  'rejectionReason',
+  'scheduledDate',
+  'trackingToken',
+  'trackingUrl'
+];
+
+// Template field limits (subject/body are for email, message for SMS and WhatsApp)
+const TEMPLATE_FIELD_MAX_LENGTH = {
+  subject: 200,
+  body: 5000,
+  message: 1000
+};
+
+// Wording used for any template field an admin has not customised.
+// Lines whose placeholders are all empty are left out (e.g. no review notes).
+const DEFAULT_TEMPLATES = {
+  issueSubmitted: {
+    subject: 'We received your issue {{referenceNumber}}',
+    body: 'Hi {{residentName}},\n\n{{thankYouMessage}}\n\nYour issue "{{issueTitle}}" at {{societyName}} has been received. Your reference number is {{referenceNumber}}.\n\nYour tracking token is {{trackingToken}}. Keep it to check progress:\n{{trackingUrl}}\n\n{{organizationName}}',
+    message: '{{organizationName}}: we received your issue "{{issueTitle}}". Reference {{referenceNumber}}, tracking token {{trackingToken}}. {{trackingUrl}}'
+  },
+  issueApproved: {
+    subject: 'Your issue {{referenceNumber}} has been approved',
+    body: 'Hi {{residentName}},\n\nYour issue "{{issueTitle}}" ({{referenceNumber}}) has been approved and work will be scheduled.\n\n{{reviewNotes}}\n\n{{trackingUrl}}\n\n{{organizationName}}',
+    message: '{{organizationName}}: your issue {{referenceNumber}} has been approved and work will be scheduled.'
+  },
+  issueRejected: {
+    subject: 'Update on your issue {{referenceNumber}}',
+    body: 'Hi {{residentName}},\n\nYour issue "{{issueTitle}}" ({{referenceNumber}}) was not approved.\n\nReason: {{rejectionReason}}\n\n{{reviewNotes}}\n\n{{organizationName}}',
+    message: '{{organizationName}}: your issue {{referenceNumber}} was not approved. {{rejectionReason}}'
+  },
+  issueConverted: {
+    subject: 'Work scheduled for your issue {{referenceNumber}}',
+    body: 'Hi {{residentName}},\n\nWork on your issue "{{issueTitle}}" ({{referenceNumber}}) has been scheduled for {{scheduledDate}}.\n\n{{trackingUrl}}\n\n{{organizationName}}',
+    message: '{{organizationName}}: work on your issue {{referenceNumber}} is scheduled for {{scheduledDate}}.'
+  },
+  issueResolved: {
+    subject: 'Your issue {{referenceNumber}} has been resolved',
+    body: 'Hi {{residentName}},\n\nThe work on your issue "{{issueTitle}}" ({{referenceNumber}}) has been completed and checked. Your issue is resolved.\n\n{{organizationName}}',
+    message: '{{organizationName}}: the work on your issue {{referenceNumber}} is complete. Your issue is resolved.'
+  }
+};
+
+// Task statuses that count as overdue once the scheduled date has passed
+const OVERDUE_TASK_STATUSES = ['Pending', 'InProgress', 'RequiresAttention'];
+
+// Title and message of each staff notification type
+const STAFF_MESSAGES = {
+  TaskAssigned: (task, { scheduledDate }) => ({
+    title: `New task: ${task.title}`,
+    message: `You have been assigned "${task.title}"${scheduledDate ? `, scheduled for ${scheduledDate}` : ''}.`
+  }),
+  TaskPendingVerification: (task) => ({
+    title: `Awaiting verification: ${task.title}`,
+    message: `"${task.title}" has been submitted for verification${task.attemptCount > 1 ? ` (attempt ${task.attemptCount})` : ''}.`
+  }),
+  TaskRejected: (task) => ({
+    title: `Rework needed: ${task.title}`,
+    message: `"${task.title}" was not approved${task.rejectionReason ? `: ${task.rejectionReason}` : '.'}`
+  }),
+  TaskOverdue: (task, { scheduledDate }) => ({
+    title: `Overdue: ${task.title}`,
+    message: `"${task.title}" was scheduled for ${scheduledDate} and is still ${task.status}.`
+  }),
+  TaskEscalated: (task, { escalation, afterHours }) => ({
+    title: `SLA escalation: ${task.title}`,
+    message: `"${task.title}" has not been ${escalation.condition === 'NotStarted' ? 'started' : 'completed'} within ${afterHours} hours.${escalation.toPriority !== escalation.fromPriority ? ` Priority raised to ${escalation.toPriority}.` : ''}`
+  }),
+  IssueEscalated: (issue, { escalation, afterHours }) => ({
+    title: `SLA escalation: ${issue.title}`,
+    message: `Issue ${issue.referenceNumber} "${issue.title}" has not been ${escalation.condition === 'NotStarted' ? 'reviewed' : 'resolved'} within ${afterHours} hours.${escalation.toPriority !== escalation.fromPriority ? ` Priority raised to ${escalation.toPriority}.` : ''}`
+  })
+};
+
+/**
+ * Notification Service
+ * Sends email, SMS and WhatsApp messages through the configured driver for each
+ * channel. Tells residents about their issue's progress using each admin's
+ * templates, and keeps in-app task notifications for staff (emailed to those who
+ * opted in). Sending never throws: failures are logged and recorded.
+ */
+class NotificationService {
+  constructor() {
+    // Without configuration, log messages in development and send nothing in production
+    const fallback = process.env.NODE_ENV === 'production' ? 'none' : 'log';
+    const defaultDrivers = {
+      email: process.env.SMTP_HOST ? 'smtp' : fallback,
+      sms: process.env.TWILIO_SMS_FROM ? 'twilio' : fallback,
+      whatsapp: process.env.TWILIO_WHATSAPP_FROM ? 'twilio' : fallback
+    };
+
+    this.drivers = {};
+    for (const [channel, drivers] of Object.entries(CHANNEL_DRIVERS)) {
+      const driverName = process.env[`NOTIFICATION_${channel.toUpperCase()}_DRIVER`] || defaultDrivers[channel];
+      if (driverName === 'none') continue;
+
+      const Driver = drivers[driverName];
+      if (!Driver) {
+        throw new Error(`Unknown NOTIFICATION_${channel.toUpperCase()}_DRIVER "${driverName}". Use one of: ${[...Object.keys(drivers), 'none'].join(', ')}`);
+      }
+
+      this.drivers[channel] = new Driver(channel);
+    }
+  }
+
+  /**
+   * Check whether a channel can send messages
+   * @param {string} channel - email, sms or whatsapp
+   * @returns {boolean} True if the channel has a configured driver
+   */
+  isChannelConfigured(channel) {
+    return Boolean(this.drivers[channel]?.isConfigured());
+  }
+
+  /**
+   * Turn a phone number into E.164 format, adding NOTIFICATION_DEFAULT_COUNTRY_CODE
+   * to local numbers
+   * @param {string} phone - Phone number as entered
+   * @returns {string|null} E.164 number, or null if it doesn't look like a phone number
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    let number = String(phone).replace(/[\s().-]/g, '');
+    if (number.startsWith('00')) {
+      number = `+${number.slice(2)}`;
+    } else if (!number.startsWith('+')) {
+      const countryCode = process.env.NOTIFICATION_DEFAULT_COUNTRY_CODE || '+91';
+      number = `${countryCode}${number.replace(/^0+/, '')}`;
+    }
+
+    return /^\+\d{8,15}$/.test(number) ? number : null;
+  }
+
+  /**
+   * Format a date for messages (e.g. 21 Oct 2026)
+   * @param {Date} date - Date to format
+   * @returns {string|undefined} Formatted date
+   */
+  formatDate(date) {
+    return date
+      ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+      : undefined;
+  }
+
+  /**
+   * Send one message through a channel
+   * @param {string} channel - email, sms or whatsapp
+   * @param {Object} message
+   * @param {string} message.to - Email address or E.164 phone number
+   * @param {string} [message.subject] - Email subject
+   * @param {string} message.text - Message text
+   * @returns {Object} { status: sent|failed|skipped, messageId, error }
+   */
+  async send(channel, message) {
+    if (!this.isChannelConfigured(channel)) {
+      return { status: 'skipped', error: `${channel} notifications are not configured` };
+    }
+
+    try {
+      const { messageId } = await this.drivers[channel].send({ channel, ...message });
+      return { status: 'sent', messageId };
+    } catch (error) {
+      console.error(`Send ${channel} notification error:`, error.message);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Fill in a template's {{placeholders}}. Lines whose placeholders are all empty are dropped.
+   * @param {string} template - Template text
+   * @param {Object} variables - Placeholder values
+   * @returns {string} Rendered text
+   */
+  renderTemplate(template, variables) {
+    const lines = template.split('\n').flatMap(line => {
+      let placeholders = 0;
+      let filled = 0;
+      const rendered = line.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const value = variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+        placeholders += 1;
+        if (value) filled += 1;
+        return value;
+      });
+
+      return placeholders > 0 && filled === 0 ? [] : [rendered.trimEnd()];
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Get an admin's template for an event, with defaults for fields they haven't customised
+   * @param {Object} admin - Admin user document
+   * @param {string} event - One of RESIDENT_EVENTS
+   * @returns {Object} { subject, body, message }
+   */
+  getTemplate(admin, event) {
+    const custom = admin?.adminSettings?.notificationSettings?.templates?.[event] || {};
+
+    return Object.fromEntries(Object.keys(TEMPLATE_FIELD_MAX_LENGTH).map(field => [
+      field,
+      custom[field] || DEFAULT_TEMPLATES[event][field]
+    ]));
+  }
+
+  /**
+   * Get the channels an admin notifies residents on
+   * @param {Object} admin - Admin user document
+   * @returns {Array} Enabled channel names
+   */
+  getResidentChannels(admin) {
+    const chosen = admin?.adminSettings?.notificationSettings?.residentChannels || {};
+
+    return Object.keys(CHANNEL_DRIVERS).filter(channel =>
+      typeof chosen[channel] === 'boolean' ? chosen[channel] : DEFAULT_RESIDENT_CHANNELS[channel]
+    );
+  }
+
+  /**
+   * Check notification settings sent by an admin
+   * @param {Object} settings - { residentChannels, templates }
+   * @returns {Array} Validation errors ({ field, message })
+   */
+  validateSettings(settings) {
+    const errors = [];
+    const { residentChannels, templates } = settings || {};
+
+    for (const [channel, enabled] of Object.entries(residentChannels || {})) {
+      if (!CHANNEL_DRIVERS[channel] || typeof enabled !== 'boolean') {
+        errors.push({ field: `residentChannels.${channel}`, message: `Must be one of ${Object.keys(CHANNEL_DRIVERS).join(', ')} set to true or false` });
+      }
+    }
+
+    for (const [event, template] of Object.entries(templates || {})) {
+      if (!RESIDENT_EVENTS.includes(event) || !template || typeof template !== 'object') {
+        errors.push({ field: `templates.${event}`, message: `Templates can be set for: ${RESIDENT_EVENTS.join(', ')}` });
+        continue;
+      }
+
+      for (const [field, text] of Object.entries(template)) {
+        const fieldName = `templates.${event}.${field}`;
+        if (!TEMPLATE_FIELD_MAX_LENGTH[field]) {
+          errors.push({ field: fieldName, message: 'Templates have subject, body and message fields' });
+        } else if (text !== null && typeof text !== 'string') {
+          errors.push({ field: fieldName, message: 'Must be text' });
+        } else if (text && text.length > TEMPLATE_FIELD_MAX_LENGTH[field]) {
+          errors.push({ field: fieldName, message: `Must be ${TEMPLATE_FIELD_MAX_LENGTH[field]} characters or fewer` });
+        } else {
+          const unknown = [...(text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+            .map(match => match[1])
+            .filter(name => !TEMPLATE_VARIABLES.includes(name));
+          if (unknown.length > 0) {
+            errors.push({ field: fieldName, message: `Unknown placeholders: ${unknown.join(', ')}` });
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the placeholder values for a resident notification
+   * @param {Object} issue - Issue document
+   * @param {Object} admin - Owning admin user document
+   * @param {Object} society - Society document
+   * @param {Object} context - Event details ({ task, trackingToken })
+   * @returns {Object} Placeholder values
+   */
+  buildResidentVariables(issue, admin, society, { task, trackingToken } = {}) {
+    // Link to the frontend's tracking page; the token is only known when the issue is submitted
+    let trackingUrl;
+    if (process.env.ISSUE_TRACKING_URL && issue.referenceNumber) {
+      const query = new URLSearchParams({ reference: issue.referenceNumber });
+      if (trackingToken) query.set('token', trackingToken);
+      trackingUrl = `${process.env.ISSUE_TRACKING_URL}?${query}`;
+    }
+
+    return {
+      residentName: issue.residentInfo?.name,
+      referenceNumber: issue.referenceNumber,
+      issueTitle: issue.title,
+      societyName: society?.name,
+      organizationName: admin?.adminSettings?.organizationName || 'Property Management',
+      thankYouMessage: admin?.adminSettings?.issueFormSettings?.thankYouMessage,
+      reviewNotes: issue.adminReview?.reviewNotes,
+      rejectionReason: issue.adminReview?.rejectionReason,
+      scheduledDate: this.formatDate(task?.scheduledDate),
+      trackingToken,
+      trackingUrl
+    };
+  }
+
+  /**
+   * Tell the resident who reported an issue about its progress, on each channel their
+   * admin has enabled and they gave contact details for. Results are recorded on the issue.
+   * @param {Object} issue - Issue document
+   * @param {string} event - One of RESIDENT_EVENTS
+   * @param {Object} [context] - { task } for conversion/completion, { trackingToken } on submission
+   * @returns {Array} Delivery results ({ event, channel, to, status, messageId, error, sentAt })
+   */
+  async notifyResident(issue, event, context = {}) {
+    try {
+      const [admin, society] = await Promise.all([
+        User.findById(issue.adminId?._id || issue.adminId).select('adminSettings'),
+        Society.findById(issue.societyId?._id || issue.societyId).select('name')
+      ]);
+
+      const template = this.getTemplate(admin, event);
+      const variables = this.buildResidentVariables(issue, admin, society, context);
+      const results = [];
+
+      for (const channel of this.getResidentChannels(admin)) {
+        const to = channel === 'email' ? issue.residentInfo?.email : this.normalizePhone(issue.residentInfo?.phone);
+        if (!to) continue;
+
+        const message = channel === 'email'
+          ? { to, subject: this.renderTemplate(template.subject, variables), text: this.renderTemplate(template.body, variables) }
+          : { to, text: this.renderTemplate(template.message, variables) };
+
+        const result = await this.send(channel, message);
+        results.push({ event, channel, to, ...result, sentAt: new Date() });
+      }
+
+      if (results.length > 0) {
+        await Issue.updateOne({ _id: issue._id }, { $push: { notifications: { $each: results } } });
+      }
+
+      return results;
+    } catch (error) {
+      console.error(`Resident notification error (${event}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Notify staff about a task or issue in-app, and by email for those who opted in.
+   * The user who caused the event is never notified about it.
+   * @param {Array} userIds - Users to notify
+   * @param {string} type - One of the Notification types (see STAFF_MESSAGES)
+   * @param {Object} task - Task document (issue document for Issue* types)
+   * @param {Object} [actor] - User who caused the event (req.user); omit for system events
+   * @param {Object} [details] - Extra values for the message (e.g. { escalation, afterHours })
+   * @returns {Array} Created notifications
+   */
+  async notifyStaff(userIds, type, task, actor, details = {}) {
+    try {
+      const actorId = actor ? String(actor.id || actor._id) : null;
+      const recipientIds = [...new Set(userIds.filter(Boolean).map(id => String(id._id || id)))]
+        .filter(id => id !== actorId);
+      if (recipientIds.length === 0) return [];
+
+      const users = await User.find({ _id: { $in: recipientIds }, isActive: true })
+        .select('email notificationPreferences');
+      const { title, message } = STAFF_MESSAGES[type](task, { scheduledDate: this.formatDate(task.scheduledDate), ...details });
+      const reference = type.startsWith('Issue') ? { issueId: task._id } : { taskId: task._id };
+
+      const notifications = await Notification.insertMany(users.map(user => ({
+        userId: user._id,
+        adminId: task.adminId?._id || task.adminId,
+        type,
+        title,
+        message,
+        ...reference
+      })));
+
+      for (const notification of notifications) {
+        const user = users.find(candidate => candidate._id.equals(notification.userId));
+        if (!user.notificationPreferences?.email) continue;
+
+        const { status, error } = await this.send('email', { to: user.email, subject: title, text: message });
+        notification.email = { status, error, sentAt: new Date() };
+        await notification.save();
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error(`Staff notification error (${type}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Tell managers and admins about tasks whose scheduled date has passed.
+   * Each scheduled date is only reported once.
+   * @param {Date} [now] - Current time
+   * @returns {number} Number of overdue tasks reported
+   */
+  async notifyOverdueTasks(now = new Date()) {
+    const tasks = await Task.find({
+      isActive: true,
+      status: { $in: OVERDUE_TASK_STATUSES },
+      scheduledDate: { $lt: now },
+      $expr: { $ne: ['$overdueNotifiedFor', '$scheduledDate'] }
+    }).select('title status scheduledDate adminId assignedManagerId');
+
+    for (const task of tasks) {
+      await this.notifyStaff([task.assignedManagerId, task.adminId], 'TaskOverdue', task);
+      await Task.updateOne({ _id: task._id }, { overdueNotifiedFor: task.scheduledDate });
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Describe the notification setup for admins editing their templates
+   * @param {Object} admin - Admin user document
+   * @returns {Object} { channels, residentChannels, events, variables, defaultTemplates, templates }
+   */
+  getSettingsInfo(admin) {
+    return {
+      channels: Object.fromEntries(Object.keys(CHANNEL_DRIVERS).map(channel => [channel, {
+        driver: this.drivers[channel]?.name || 'none',
+        configured: this.isChannelConfigured(channel)
+      }])),
+      residentChannels: this.getResidentChannels(admin),
+      events: RESIDENT_EVENTS,
+      variables: TEMPLATE_VARIABLES,
+      defaultTemplates: DEFAULT_TEMPLATES,
+      templates: Object.fromEntries(RESIDENT_EVENTS.map(event => [event, this.getTemplate(admin, event)]))
+    };
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
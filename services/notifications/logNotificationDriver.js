@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Log Notification Driver
+ * Writes notifications to the console, or appends them as JSON lines to
+ * NOTIFICATION_LOG_FILE, instead of sending them.
+ * Meant for development - messages include residents' contact details.
+ */
+class LogNotificationDriver {
+  constructor() {
+    this.name = 'log';
+    this.logFile = process.env.NOTIFICATION_LOG_FILE ? path.resolve(process.env.NOTIFICATION_LOG_FILE) : null;
+  }
+
+  /**
+   * "Send" a notification by logging it
+   * @param {Object} message
+   * @param {string} message.channel - email, sms or whatsapp
+   * @param {string} message.to - Recipient email address or phone number
+   * @param {string} [message.subject] - Email subject
+   * @param {string} message.text - Message text
+   * @returns {Object} { messageId }
+   */
+  async send({ channel, to, subject, text }) {
+    const messageId = `log-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    if (this.logFile) {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(this.logFile, `${JSON.stringify({ messageId, channel, to, subject, text, loggedAt: new Date() })}\n`);
+    } else {
+      console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+    }
+
+    return { messageId };
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      output: this.logFile || 'console'
+    };
+  }
+}
+
+module.exports = LogNotificationDriver;
@@ -0,0 +1,84 @@
+/**
+ * SMTP Notification Driver
+ * Sends email notifications through any SMTP server.
+ * Needs the optional nodemailer package.
+ */
+class SmtpNotificationDriver {
+  constructor() {
+    this.name = 'smtp';
+    this.host = process.env.SMTP_HOST;
+    this.port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    this.from = process.env.SMTP_FROM || process.env.SMTP_USER;
+    this.transporter = null;
+
+    if (!this.host || !this.from) {
+      console.warn('⚠️  SMTP not configured (SMTP_HOST, SMTP_FROM). Email notifications will not be sent.');
+      return;
+    }
+
+    let nodemailer;
+    try {
+      nodemailer = require('nodemailer');
+    } catch (error) {
+      console.warn('⚠️  SMTP email needs the nodemailer package. Email notifications will not be sent.');
+      return;
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      // Port 465 uses TLS from the start; other ports upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : this.port === 465,
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000
+    });
+
+    console.log('✅ SMTP email initialized');
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.subject - Email subject
+   * @param {string} message.text - Plain text body
+   * @returns {Object} { messageId }
+   */
+  async send({ to, subject, text }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to,
+      subject,
+      text
+    });
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.transporter !== null;
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      host: this.host,
+      port: this.port,
+      from: this.from
+    };
+  }
+}
+
+module.exports = SmtpNotificationDriver;
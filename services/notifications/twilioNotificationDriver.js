@@ -0,0 +1,87 @@
+/**
+ * Twilio Notification Driver
+ * Sends SMS or WhatsApp messages through the Twilio Messages API.
+ * One instance per channel, each with its own sender (TWILIO_SMS_FROM / TWILIO_WHATSAPP_FROM).
+ */
+class TwilioNotificationDriver {
+  /**
+   * @param {string} channel - sms or whatsapp
+   */
+  constructor(channel) {
+    this.name = 'twilio';
+    this.channel = channel;
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.from = channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+
+    if (!this.accountSid || !this.authToken || !this.from) {
+      const fromVariable = channel === 'whatsapp' ? 'TWILIO_WHATSAPP_FROM' : 'TWILIO_SMS_FROM';
+      console.warn(`⚠️  Twilio ${channel} not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, ${fromVariable}). ${channel} notifications will not be sent.`);
+      this.configured = false;
+      return;
+    }
+
+    this.configured = true;
+    console.log(`✅ Twilio ${channel} initialized`);
+  }
+
+  /**
+   * Format a phone number as a Twilio address for this channel
+   * @param {string} phone - E.164 phone number
+   * @returns {string} Address (whatsapp:+91... for WhatsApp)
+   */
+  toAddress(phone) {
+    const number = phone.replace(/^whatsapp:/, '');
+    return this.channel === 'whatsapp' ? `whatsapp:${number}` : number;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message
+   * @param {string} message.to - Recipient phone number (E.164)
+   * @param {string} message.text - Message text
+   * @returns {Object} { messageId }
+   */
+  async send({ to, text }) {
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        From: this.toAddress(this.from),
+        To: this.toAddress(to),
+        Body: text
+      }),
+      signal: AbortSignal.timeout(15000)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio error ${result.code || response.status}: ${result.message || response.statusText}`);
+    }
+
+    return { messageId: result.sid };
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.configured;
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      from: this.from
+    };
+  }
+}
+
+module.exports = TwilioNotificationDriver;
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const SlaPolicy = require('../models/SlaPolicy');
+const Task = require('../models/Task');
+const Issue = require('../models/Issue');
+const Asset = require('../models/Asset');
+const Society = require('../models/Society');
+const User = require('../models/User');
+const taskHistoryService = require('./taskHistoryService');
+const notificationService = require('./notificationService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Priorities in escalation order (BumpPriority moves one step up)
+const PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Issue statuses that still count against the resolution target
+const OPEN_ISSUE_STATUSES = ['Submitted', 'UnderReview', 'Approved', 'ConvertedToTask'];
+
+/**
+ * SLA Service
+ * Matches tasks and issues to each admin's SLA policies, stores their response and
+ * resolution due-by times, detects breaches, applies escalation rules and reports
+ * compliance.
+ *
+ * - Response: a task is started (actualStartTime), an issue is reviewed
+ * - Resolution: a task is verified as Completed, an issue is rejected or its task is verified
+ * - The clock starts when the record is created, or at the scheduled date for tasks planned ahead
+ */
+class SlaService {
+  /**
+   * Find the policy for a priority and category. Exact matches beat policies that
+   * leave priority or category open, and priority matters more than category.
+   * @param {string} adminId - Owning admin
+   * @param {string} priority - Task/issue priority
+   * @param {string} [category] - Asset or issue category
+   * @returns {Object|null} SlaPolicy document
+   */
+  async findPolicy(adminId, priority, category) {
+    const policies = await SlaPolicy.find({
+      adminId,
+      isActive: true,
+      priority: { $in: [priority, null] },
+      category: { $in: [category || null, null] }
+    });
+
+    const specificity = policy => (policy.priority ? 2 : 0) + (policy.category ? 1 : 0);
+    return policies.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+  }
+
+  /**
+   * Work out a task's category from its asset's library item
+   * @param {Object} task - Task document
+   * @returns {string|undefined} Category
+   */
+  async getTaskCategory(task) {
+    const asset = await Asset.findById(task.assetId?._id || task.assetId)
+      .select('assetLibraryItemId')
+      .populate('assetLibraryItemId', 'category');
+    return asset?.assetLibraryItemId?.category;
+  }
+
+  /**
+   * Build the SLA block for a record, keeping progress already recorded
+   * @param {Object} policy - SlaPolicy document (or null)
+   * @param {Object} previous - Existing SLA block
+   * @param {Object} options - { category, startedAt }
+   * @returns {Object} SLA block
+   */
+  buildSla(policy, previous, { category, startedAt }) {
+    const dueBy = hours => (policy && typeof hours === 'number' ? new Date(startedAt.getTime() + hours * HOUR) : undefined);
+
+    const sla = {
+      policyId: policy?._id,
+      category,
+      startedAt: policy ? startedAt : undefined,
+      responseDueBy: dueBy(policy?.responseTimeHours),
+      resolutionDueBy: dueBy(policy?.resolutionTimeHours),
+      respondedAt: previous?.respondedAt,
+      resolvedAt: previous?.resolvedAt,
+      escalations: previous?.escalations || []
+    };
+
+    // Breaches are worked out again against the new targets
+    const now = new Date();
+    const breachedAt = (doneAt, due) => {
+      if (!due) return undefined;
+      if (doneAt) return doneAt > due ? due : undefined;
+      return due <= now ? due : undefined;
+    };
+    sla.responseBreachedAt = breachedAt(sla.respondedAt, sla.responseDueBy);
+    sla.resolutionBreachedAt = breachedAt(sla.resolvedAt, sla.resolutionDueBy);
+
+    return sla;
+  }
+
+  /**
+   * Set a task's SLA targets from the matching policy (call before saving a new task,
+   * and again when its priority or scheduled date changes)
+   * @param {Object} task - Task document (modified in place, not saved)
+   * @param {Object} [options]
+   * @param {string} [options.category] - Asset category, if already known
+   * @returns {Object} The task's SLA block
+   */
+  async applyToTask(task, { category } = {}) {
+    const taskCategory = category || task.sla?.category || await this.getTaskCategory(task);
+    const policy = await this.findPolicy(task.adminId?._id || task.adminId, task.priority, taskCategory);
+
+    // Work planned ahead starts its clock on the scheduled date
+    const createdAt = task.createdAt || new Date();
+    const scheduledDate = task.scheduledDate ? new Date(task.scheduledDate) : createdAt;
+    const startedAt = scheduledDate > createdAt ? scheduledDate : createdAt;
+
+    task.sla = this.buildSla(policy, task.sla, { category: taskCategory, startedAt });
+    return task.sla;
+  }
+
+  /**
+   * Set an issue's SLA targets from the matching policy (call before saving a new issue)
+   * @param {Object} issue - Issue document (modified in place, not saved)
+   * @returns {Object} The issue's SLA block
+   */
+  async applyToIssue(issue) {
+    const policy = await this.findPolicy(issue.adminId, issue.priority, issue.category);
+
+    issue.sla = this.buildSla(policy, issue.sla, {
+      category: issue.category,
+      startedAt: issue.createdAt || new Date()
+    });
+    return issue.sla;
+  }
+
+  /**
+   * Get the escalation rules that are due for a record and haven't been applied yet
+   * @param {Object} record - Task or issue document
+   * @param {Object} policy - SlaPolicy document
+   * @param {Date} now - Current time
+   * @returns {Array} Escalation rules
+   */
+  getDueEscalations(record, policy, now) {
+    const { sla } = record;
+    const applied = new Set((sla.escalations || []).map(escalation => String(escalation.ruleId)));
+
+    return policy.escalationRules.filter(rule => {
+      if (applied.has(String(rule._id))) return false;
+      if (rule.condition === 'NotStarted' && sla.respondedAt) return false;
+      if (rule.condition === 'NotResolved' && sla.resolvedAt) return false;
+      return now >= new Date(sla.startedAt.getTime() + rule.afterHours * HOUR);
+    });
+  }
+
+  /**
+   * Apply an escalation rule's actions to a task or issue
+   * @param {Object} record - Task or issue document (saved by the caller)
+   * @param {Object} rule - Escalation rule
+   * @param {string} kind - 'Task' or 'Issue'
+   * @returns {Object} Escalation entry recorded on the record
+   */
+  async escalate(record, rule, kind) {
+    const fromPriority = record.priority;
+    if (rule.actions.includes('BumpPriority')) {
+      record.priority = PRIORITIES[Math.min(PRIORITIES.indexOf(record.priority) + 1, PRIORITIES.length - 1)];
+    }
+
+    const escalation = {
+      ruleId: rule._id,
+      condition: rule.condition,
+      actions: rule.actions,
+      fromPriority,
+      toPriority: record.priority,
+      escalatedAt: new Date()
+    };
+    record.sla.escalations.push(escalation);
+
+    const recipients = [];
+    if (rule.actions.includes('NotifyAdmin')) recipients.push(record.adminId);
+    if (rule.actions.includes('NotifyManager') && kind === 'Task') recipients.push(record.assignedManagerId);
+    if (recipients.length > 0) {
+      await notificationService.notifyStaff(recipients, `${kind}Escalated`, record, null, { escalation, afterHours: rule.afterHours });
+    }
+
+    return escalation;
+  }
+
+  /**
+   * Record missed targets and apply due escalation rules to open tasks and issues.
+   * Intended to run periodically (see scripts/check-sla.js).
+   * @param {Date} [now] - Current time
+   * @returns {Object} { breaches, escalations } counts
+   */
+  async checkBreaches(now = new Date()) {
+    const summary = { breaches: 0, escalations: 0 };
+
+    const [tasks, issues] = await Promise.all([
+      Task.find({ isActive: true, status: { $ne: 'Completed' }, 'sla.startedAt': { $lte: now } }),
+      Issue.find({ status: { $in: OPEN_ISSUE_STATUSES }, 'sla.startedAt': { $lte: now }, 'sla.resolvedAt': null })
+    ]);
+
+    const policyIds = [...tasks, ...issues].map(record => record.sla.policyId).filter(Boolean);
+    const policies = await SlaPolicy.find({ _id: { $in: policyIds } });
+    const policyMap = new Map(policies.map(policy => [String(policy._id), policy]));
+
+    const check = async (record, kind) => {
+      const { sla } = record;
+      let changed = false;
+
+      if (sla.responseDueBy && !sla.respondedAt && !sla.responseBreachedAt && sla.responseDueBy <= now) {
+        sla.responseBreachedAt = sla.responseDueBy;
+        summary.breaches++;
+        changed = true;
+      }
+      if (sla.resolutionDueBy && !sla.resolvedAt && !sla.resolutionBreachedAt && sla.resolutionDueBy <= now) {
+        sla.resolutionBreachedAt = sla.resolutionDueBy;
+        summary.breaches++;
+        changed = true;
+      }
+
+      // Escalations follow the policy's current rules (deactivated policies still escalate)
+      const policy = policyMap.get(String(sla.policyId));
+      const escalations = [];
+      for (const rule of policy ? this.getDueEscalations(record, policy, now) : []) {
+        escalations.push(await this.escalate(record, rule, kind));
+        summary.escalations++;
+        changed = true;
+      }
+
+      if (!changed) return;
+      await record.save();
+
+      if (kind === 'Task') {
+        for (const escalation of escalations) {
+          await taskHistoryService.record(record, {
+            action: 'Escalated',
+            fromStatus: record.status,
+            notes: `SLA escalation: ${escalation.condition === 'NotStarted' ? 'not started' : 'not resolved'} in time`,
+            changes: escalation.fromPriority !== escalation.toPriority
+              ? [{ field: 'priority', from: escalation.fromPriority, to: escalation.toPriority }]
+              : undefined
+          });
+        }
+      }
+    };
+
+    for (const task of tasks) {
+      await check(task, 'Task');
+    }
+    for (const issue of issues) {
+      await check(issue, 'Issue');
+    }
+
+    return summary;
+  }
+
+  /**
+   * Aggregation stages that count met/breached/pending targets per group
+   * @param {*} groupKey - $group _id expression
+   * @param {Date} now - Current time
+   * @returns {Array} Pipeline stages
+   */
+  buildCompliancePipeline(groupKey, now) {
+    const outcome = (doneField, dueField) => ({
+      $switch: {
+        branches: [
+          { case: { $not: [`$sla.${dueField}`] }, then: 'none' },
+          { case: { $and: [`$sla.${doneField}`, { $lte: [`$sla.${doneField}`, `$sla.${dueField}`] }] }, then: 'met' },
+          { case: { $or: [`$sla.${doneField}`, { $lte: [`$sla.${dueField}`, now] }] }, then: 'breached' }
+        ],
+        default: 'pending'
+      }
+    });
+    const count = (field, value) => ({ $sum: { $cond: [{ $eq: [`$${field}`, value] }, 1, 0] } });
+
+    return [
+      {
+        $project: {
+          groupKey,
+          response: outcome('respondedAt', 'responseDueBy'),
+          resolution: outcome('resolvedAt', 'resolutionDueBy'),
+          escalated: { $gt: [{ $size: { $ifNull: ['$sla.escalations', []] } }, 0] }
+        }
+      },
+      {
+        $group: {
+          _id: '$groupKey',
+          total: { $sum: 1 },
+          responseMet: count('response', 'met'),
+          responseBreached: count('response', 'breached'),
+          responsePending: count('response', 'pending'),
+          resolutionMet: count('resolution', 'met'),
+          resolutionBreached: count('resolution', 'breached'),
+          resolutionPending: count('resolution', 'pending'),
+          escalated: { $sum: { $cond: ['$escalated', 1, 0] } }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Turn grouped counts into a report line with compliance percentages
+   * @param {Object} counts - Counts from buildCompliancePipeline
+   * @returns {Object} Report line
+   */
+  buildComplianceLine({ _id, ...counts }) {
+    const rate = (met, breached) => (met + breached > 0 ? Math.round((met / (met + breached)) * 1000) / 10 : null);
+
+    return {
+      ...counts,
+      responseCompliance: rate(counts.responseMet, counts.responseBreached),
+      resolutionCompliance: rate(counts.resolutionMet, counts.resolutionBreached)
+    };
+  }
+
+  /**
+   * Build an SLA compliance report for an admin's tasks (per society and per manager)
+   * and issues (per society). Records are included when their SLA clock started in the range.
+   * @param {string} adminId - Owning admin
+   * @param {Object} options
+   * @param {Date} options.from - Range start
+   * @param {Date} options.to - Range end (exclusive)
+   * @param {string} [options.societyId] - Limit to one society
+   * @returns {Object} Compliance report
+   */
+  async getComplianceReport(adminId, { from, to, societyId }) {
+    const now = new Date();
+    const match = {
+      adminId: new mongoose.Types.ObjectId(adminId),
+      'sla.startedAt': { $gte: from, $lt: to }
+    };
+    if (societyId) {
+      match.societyId = new mongoose.Types.ObjectId(societyId);
+    }
+
+    const [taskResults, issueResults] = await Promise.all([
+      Task.aggregate([
+        { $match: { ...match, isActive: true } },
+        {
+          $facet: {
+            total: this.buildCompliancePipeline({ $literal: null }, now),
+            bySociety: this.buildCompliancePipeline('$societyId', now),
+            byManager: this.buildCompliancePipeline('$assignedManagerId', now)
+          }
+        }
+      ]),
+      Issue.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            total: this.buildCompliancePipeline({ $literal: null }, now),
+            bySociety: this.buildCompliancePipeline('$societyId', now)
+          }
+        }
+      ])
+    ]);
+
+    const [taskFacets] = taskResults;
+    const [issueFacets] = issueResults;
+
+    const societyIds = [...taskFacets.bySociety, ...issueFacets.bySociety].map(line => line._id);
+    const [societies, managers] = await Promise.all([
+      Society.find({ _id: { $in: societyIds } }).select('name'),
+      User.find({ _id: { $in: taskFacets.byManager.map(line => line._id) } }).select('firstName lastName')
+    ]);
+    const societyName = id => societies.find(society => society._id.equals(id))?.name || null;
+    const managerName = id => {
+      const manager = managers.find(user => user._id.equals(id));
+      return manager ? `${manager.firstName} ${manager.lastName}` : null;
+    };
+
+    const empty = { _id: null, total: 0, responseMet: 0, responseBreached: 0, responsePending: 0, resolutionMet: 0, resolutionBreached: 0, resolutionPending: 0, escalated: 0 };
+    const bySociety = lines => lines
+      .map(line => ({ societyId: line._id, societyName: societyName(line._id), ...this.buildComplianceLine(line) }))
+      .sort((a, b) => (a.societyName || '').localeCompare(b.societyName || ''));
+
+    return {
+      period: { from, to },
+      tasks: {
+        total: this.buildComplianceLine(taskFacets.total[0] || empty),
+        bySociety: bySociety(taskFacets.bySociety),
+        byManager: taskFacets.byManager
+          .map(line => ({ managerId: line._id, managerName: managerName(line._id), ...this.buildComplianceLine(line) }))
+          .sort((a, b) => (a.managerName || '').localeCompare(b.managerName || ''))
+      },
+      issues: {
+        total: this.buildComplianceLine(issueFacets.total[0] || empty),
+        bySociety: bySociety(issueFacets.bySociety)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const slaService = new SlaService();
+
+module.exports = slaService;
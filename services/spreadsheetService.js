@@ -0,0 +1,115 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+/**
+ * Spreadsheet Service
+ * Reads CSV/XLSX files (from disk or an upload buffer) into plain row objects.
+ */
+class SpreadsheetService {
+  /**
+   * Get the spreadsheet format from a file name
+   * @param {string} fileName - File name or path
+   * @returns {string|null} 'csv', 'xlsx' or null if unsupported
+   */
+  getFormat(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.xlsx') return 'xlsx';
+    return null;
+  }
+
+  /**
+   * Load a worksheet from a file path or buffer
+   * @param {Object} source
+   * @param {string} [source.filePath] - Path to the file
+   * @param {Buffer} [source.buffer] - File contents (uploads)
+   * @param {string} source.format - 'csv' or 'xlsx'
+   * @param {string} [source.sheetName] - Worksheet to read
+   * @param {string} [source.defaultSheetName] - Worksheet to use when sheetName is not given and it exists
+   *   (otherwise the first sheet is used)
+   * @returns {Object} ExcelJS worksheet
+   */
+  async loadWorksheet({ filePath, buffer, format, sheetName, defaultSheetName }) {
+    const workbook = new ExcelJS.Workbook();
+
+    if (format === 'csv') {
+      // Keep CSV values as text: ExcelJS would otherwise read dates month-first and
+      // drop leading zeros from phone numbers and zip codes
+      const options = { map: value => value };
+      return buffer
+        ? workbook.csv.read(Readable.from(buffer), options)
+        : workbook.csv.readFile(filePath, options);
+    }
+
+    if (format === 'xlsx') {
+      if (buffer) {
+        await workbook.xlsx.load(buffer);
+      } else {
+        await workbook.xlsx.readFile(filePath);
+      }
+
+      const worksheet = sheetName
+        ? workbook.getWorksheet(sheetName)
+        : (defaultSheetName && workbook.getWorksheet(defaultSheetName)) || workbook.worksheets[0];
+      if (!worksheet) {
+        throw new Error(`Worksheet "${sheetName}" not found`);
+      }
+      return worksheet;
+    }
+
+    throw new Error('Unsupported file type. Use .xlsx or .csv');
+  }
+
+  /**
+   * Convert a worksheet to row objects keyed by (mapped) header
+   * @param {Object} worksheet - ExcelJS worksheet
+   * @param {Function} [mapHeader] - Maps raw header text to a key (default: trimmed text)
+   * @returns {Array} Rows with their spreadsheet row number in `rowNumber`
+   */
+  getRows(worksheet, mapHeader = header => header.trim()) {
+    const headers = [];
+    const rows = [];
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (headers.length === 0) {
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+          headers[colNumber] = mapHeader(cell.text || '');
+        });
+        return;
+      }
+
+      const values = {};
+      headers.forEach((header, colNumber) => {
+        if (!header) return;
+        values[header] = this.getCellValue(row.getCell(colNumber));
+      });
+      rows.push({ rowNumber, values });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Unwrap ExcelJS cell values (formulas, rich text, hyperlinks) to plain values
+   * @param {Object} cell - ExcelJS cell
+   * @returns {*} Plain value ('' for empty cells)
+   */
+  getCellValue(cell) {
+    const value = cell.value;
+
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+      if ('result' in value) return value.result;
+      if ('richText' in value || 'text' in value) return cell.text;
+    }
+
+    return value;
+  }
+}
+
+// Create singleton instance
+const spreadsheetService = new SpreadsheetService();
+
+module.exports = spreadsheetService;
@@ -0,0 +1,189 @@
+const fs = require('fs/promises');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local Storage Driver
+ * Stores files on the local filesystem. Files are only readable through signed
+ * URLs served by GET /api/storage/files/:token.
+ * Meant for development and tests - serverless hosts (Vercel) do not keep local files.
+ */
+class LocalStorageDriver {
+  constructor() {
+    this.name = 'local';
+    this.rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+    // Base URL of this API as seen by clients
+    this.baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    console.log(`✅ Local Storage initialized (${this.rootDir})`);
+  }
+
+  /**
+   * Resolve a storage path to an absolute path inside the storage directory
+   * @param {string} filePath - Path of the file in storage
+   * @returns {string} Absolute path
+   */
+  resolvePath(filePath) {
+    const absolutePath = path.resolve(this.rootDir, filePath);
+    if (!absolutePath.startsWith(`${this.rootDir}${path.sep}`)) {
+      throw new Error('Invalid file path');
+    }
+    return absolutePath;
+  }
+
+  /**
+   * Generate a signed upload URL (handled by PUT /api/storage/upload/:token)
+   * @param {string} filePath - Path the file will be stored at
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Object} { signedUrl, method }
+   */
+  async generateSignedUploadUrl(filePath, expiresIn) {
+    const token = jwt.sign(
+      { filePath, purpose: 'storage-upload' },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+
+    return {
+      signedUrl: `${this.baseUrl}/api/storage/upload/${token}`,
+      method: 'PUT'
+    };
+  }
+
+  /**
+   * Check a signed upload token
+   * @param {string} token - Token from the signed upload URL
+   * @returns {string} Path the file should be stored at
+   */
+  verifyUploadToken(token) {
+    return this.verifyToken(token, 'storage-upload');
+  }
+
+  /**
+   * Generate a signed read URL (handled by GET /api/storage/files/:token)
+   * @param {string} filePath - Path of the file in storage
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {string} Signed URL
+   */
+  async generateSignedReadUrl(filePath, expiresIn) {
+    const token = jwt.sign(
+      { filePath, purpose: 'storage-read' },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+
+    return `${this.baseUrl}/api/storage/files/${token}`;
+  }
+
+  /**
+   * Check a signed read token
+   * @param {string} token - Token from the signed read URL
+   * @returns {string} Absolute path of the file to send
+   */
+  verifyReadToken(token) {
+    return this.resolvePath(this.verifyToken(token, 'storage-read'));
+  }
+
+  /**
+   * Verify a signed storage token and return its file path
+   * @param {string} token - Signed token
+   * @param {string} purpose - Expected purpose (storage-upload or storage-read)
+   * @returns {string} File path
+   */
+  verifyToken(token, purpose) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+      throw new jwt.JsonWebTokenError('Invalid storage token');
+    }
+    return decoded.filePath;
+  }
+
+  /**
+   * Upload a file
+   * @param {string} filePath - Path to store the file at
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Stored file path
+   */
+  async upload(filePath, buffer) {
+    const absolutePath = this.resolvePath(filePath);
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    // 'wx' fails if the file already exists - don't overwrite existing files
+    await fs.writeFile(absolutePath, buffer, { flag: 'wx' });
+    return filePath;
+  }
+
+  /**
+   * Get the object URL for a file. Files are not served from this URL - it
+   * identifies the file, and generateSignedReadUrl makes it readable.
+   * @param {string} filePath - Path of the file in storage
+   * @returns {string} Object URL of the file
+   */
+  getPublicUrl(filePath) {
+    return `${this.baseUrl}/uploads/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Get the storage path of a file from its public URL
+   * @param {string} url - File URL
+   * @returns {string|null} File path, or null if the URL is not served from local storage
+   */
+  getFilePathFromUrl(url) {
+    const prefix = `${this.baseUrl}/uploads/`;
+    if (!url.startsWith(prefix)) return null;
+
+    const filePath = decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+    return filePath || null;
+  }
+
+  /**
+   * Delete a file from storage
+   * @param {string} filePath - Path of the file to delete
+   */
+  async deleteFile(filePath) {
+    await fs.unlink(this.resolvePath(filePath));
+  }
+
+  /**
+   * List files in a directory
+   * @param {string} dirPath - Directory path to list files from
+   * @param {Object} options - Options for listing (limit, offset)
+   * @returns {Array} Array of file objects ({ name, size, created_at })
+   */
+  async listFiles(dirPath, options) {
+    const absolutePath = dirPath ? this.resolvePath(dirPath) : this.rootDir;
+    const entries = await fs.readdir(absolutePath, { withFileTypes: true }).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const files = await Promise.all(entries.filter(entry => entry.isFile()).map(async entry => {
+      const stats = await fs.stat(path.join(absolutePath, entry.name));
+      return { name: entry.name, size: stats.size, created_at: stats.birthtime };
+    }));
+
+    const offset = options.offset || 0;
+    return files
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(offset, offset + (options.limit || 100));
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return Boolean(process.env.JWT_SECRET);
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      rootDir: this.rootDir,
+      baseUrl: this.baseUrl
+    };
+  }
+}
+
+module.exports = LocalStorageDriver;
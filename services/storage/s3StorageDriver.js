@@ -0,0 +1,183 @@
+/**
+ * S3 Storage Driver
+ * Stores files in an S3 or S3-compatible bucket (AWS, Cloudflare R2, MinIO, ...).
+ * Needs the optional @aws-sdk/client-s3 and @aws-sdk/s3-request-presigner packages.
+ */
+class S3StorageDriver {
+  constructor() {
+    this.name = 's3';
+    this.bucketName = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.endpoint = process.env.S3_ENDPOINT;
+    this.client = null;
+
+    if (!this.bucketName || !process.env.S3_ACCESS_KEY_ID || !process.env.S3_SECRET_ACCESS_KEY) {
+      console.warn('⚠️  S3 storage not configured (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY). Storage features will not work.');
+      return;
+    }
+
+    try {
+      this.sdk = require('@aws-sdk/client-s3');
+      this.presigner = require('@aws-sdk/s3-request-presigner');
+    } catch (error) {
+      console.warn('⚠️  S3 storage needs @aws-sdk/client-s3 and @aws-sdk/s3-request-presigner. Storage features will not work.');
+      return;
+    }
+
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+    this.client = new this.sdk.S3Client({
+      region: this.region,
+      endpoint: this.endpoint,
+      forcePathStyle,
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    });
+
+    // Object URL prefix of the bucket (S3_PUBLIC_URL for custom domains)
+    if (process.env.S3_PUBLIC_URL) {
+      this.publicUrl = process.env.S3_PUBLIC_URL;
+    } else if (this.endpoint) {
+      this.publicUrl = forcePathStyle
+        ? `${this.endpoint.replace(/\/+$/, '')}/${this.bucketName}`
+        : this.endpoint.replace('://', `://${this.bucketName}.`);
+    } else {
+      this.publicUrl = `https://${this.bucketName}.s3.${this.region}.amazonaws.com`;
+    }
+    this.publicUrl = this.publicUrl.replace(/\/+$/, '');
+
+    console.log('✅ S3 Storage initialized');
+  }
+
+  /**
+   * Generate a presigned upload URL
+   * @param {string} filePath - Path the file will be stored at
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Object} { signedUrl, method }
+   */
+  async generateSignedUploadUrl(filePath, expiresIn) {
+    const command = new this.sdk.PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: filePath
+    });
+
+    return {
+      signedUrl: await this.presigner.getSignedUrl(this.client, command, { expiresIn }),
+      method: 'PUT'
+    };
+  }
+
+  /**
+   * Generate a presigned read URL for a private file
+   * @param {string} filePath - Path of the file in storage
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {string} Signed URL
+   */
+  async generateSignedReadUrl(filePath, expiresIn) {
+    const command = new this.sdk.GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: filePath
+    });
+
+    return this.presigner.getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  /**
+   * Upload a file
+   * @param {string} filePath - Path to store the file at
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {string} Stored file path
+   */
+  async upload(filePath, buffer, contentType) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: filePath,
+      Body: buffer,
+      ContentType: contentType,
+      // Don't overwrite existing files
+      IfNoneMatch: '*'
+    }));
+
+    return filePath;
+  }
+
+  /**
+   * Get the object URL for a file. The bucket is private, so this URL identifies
+   * the file but is not readable - use generateSignedReadUrl to view it.
+   * @param {string} filePath - Path of the file in storage
+   * @returns {string} Object URL of the file
+   */
+  getPublicUrl(filePath) {
+    return `${this.publicUrl}/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Get the storage path of a file from its public URL
+   * @param {string} url - File URL
+   * @returns {string|null} File path, or null if the URL is not in this bucket
+   */
+  getFilePathFromUrl(url) {
+    const prefix = `${this.publicUrl}/`;
+    if (!url.startsWith(prefix)) return null;
+
+    const filePath = decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+    return filePath || null;
+  }
+
+  /**
+   * Delete a file from storage
+   * @param {string} filePath - Path of the file to delete
+   */
+  async deleteFile(filePath) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: filePath
+    }));
+  }
+
+  /**
+   * List files in a directory
+   * @param {string} dirPath - Directory path to list files from
+   * @param {Object} options - Options for listing (limit)
+   * @returns {Array} Array of file objects ({ name, size, created_at })
+   */
+  async listFiles(dirPath, options) {
+    const prefix = dirPath ? `${dirPath.replace(/\/+$/, '')}/` : '';
+    const { Contents = [] } = await this.client.send(new this.sdk.ListObjectsV2Command({
+      Bucket: this.bucketName,
+      Prefix: prefix,
+      Delimiter: '/',
+      MaxKeys: options.limit || 100
+    }));
+
+    return Contents.map(object => ({
+      name: object.Key.slice(prefix.length),
+      size: object.Size,
+      created_at: object.LastModified
+    }));
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.client !== null;
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      bucketName: this.bucketName,
+      region: this.region,
+      endpoint: this.endpoint || 'AWS'
+    };
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,181 @@
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Supabase Storage Driver
+ * Stores files in a Supabase Storage bucket
+ */
+class SupabaseStorageDriver {
+  constructor() {
+    this.name = 'supabase';
+    this.supabaseUrl = process.env.SUPABASE_URL;
+    // Use service role key for backend operations to bypass RLS
+    this.supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.bucketName = process.env.VERIFICATION_PHOTOS_BUCKET || 'verification-photos';
+
+    if (!this.supabaseUrl || !this.supabaseKey) {
+      console.warn('⚠️  Supabase credentials not configured. Storage features will not work.');
+      this.supabase = null;
+      return;
+    }
+
+    this.supabase = createClient(this.supabaseUrl, this.supabaseKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    });
+    console.log('✅ Supabase Storage Service initialized');
+  }
+
+  /**
+   * Generate a signed upload URL
+   * @param {string} filePath - Path the file will be stored at
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Object} { signedUrl, method }
+   */
+  async generateSignedUploadUrl(filePath, expiresIn) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .createSignedUploadUrl(filePath, {
+        expiresIn,
+        upsert: false // Don't allow overwriting existing files
+      });
+
+    if (error) {
+      console.error('Supabase signed URL generation error:', error);
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+
+    return {
+      signedUrl: data.signedUrl,
+      method: 'PUT'
+    };
+  }
+
+  /**
+   * Generate a signed read URL for a private file
+   * @param {string} filePath - Path of the file in storage
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {string} Signed URL
+   */
+  async generateSignedReadUrl(filePath, expiresIn) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .createSignedUrl(filePath, expiresIn);
+
+    if (error) {
+      throw new Error(`Failed to generate read URL: ${error.message}`);
+    }
+
+    return data.signedUrl;
+  }
+
+  /**
+   * Upload a file
+   * @param {string} filePath - Path to store the file at
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {string} Stored file path
+   */
+  async upload(filePath, buffer, contentType) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .upload(filePath, buffer, {
+        contentType,
+        upsert: false // Don't overwrite existing files
+      });
+
+    if (error) {
+      console.error('Supabase upload error:', error);
+      throw new Error(`Failed to upload file: ${error.message}`);
+    }
+
+    return data.path;
+  }
+
+  /**
+   * Get the object URL for a file. The bucket is private, so this URL identifies
+   * the file but is not readable - use generateSignedReadUrl to view it.
+   * @param {string} filePath - Path of the file in storage
+   * @returns {string} Object URL of the file
+   */
+  getPublicUrl(filePath) {
+    const { data } = this.supabase.storage
+      .from(this.bucketName)
+      .getPublicUrl(filePath);
+
+    return data.publicUrl;
+  }
+
+  /**
+   * Get the storage path of a file from its public URL
+   * @param {string} url - File URL
+   * @returns {string|null} File path, or null if the URL is not in this bucket
+   */
+  getFilePathFromUrl(url) {
+    const prefix = `${this.supabaseUrl.replace(/\/+$/, '')}/storage/v1/object/public/${this.bucketName}/`;
+    if (!url.startsWith(prefix)) return null;
+
+    const filePath = decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+    return filePath || null;
+  }
+
+  /**
+   * Delete a file from storage
+   * @param {string} filePath - Path of the file to delete
+   */
+  async deleteFile(filePath) {
+    const { error } = await this.supabase.storage
+      .from(this.bucketName)
+      .remove([filePath]);
+
+    if (error) {
+      console.error('Supabase file deletion error:', error);
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * List files in a directory
+   * @param {string} path - Directory path to list files from
+   * @param {Object} options - Options for listing (limit, offset, sortBy)
+   * @returns {Array} Array of file objects
+   */
+  async listFiles(path, options) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .list(path, {
+        limit: options.limit || 100,
+        offset: options.offset || 0,
+        sortBy: options.sortBy || { column: 'created_at', order: 'desc' }
+      });
+
+    if (error) {
+      console.error('Supabase file listing error:', error);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Check if the driver is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.supabase !== null;
+  }
+
+  /**
+   * Get driver configuration details
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      bucketName: this.bucketName,
+      supabaseUrl: this.supabaseUrl ? '***configured***' : 'not configured'
+    };
+  }
+}
+
+module.exports = SupabaseStorageDriver;
@@ -0,0 +1,341 @@
+const SupabaseStorageDriver = require('./storage/supabaseStorageDriver');
+const LocalStorageDriver = require('./storage/localStorageDriver');
+const S3StorageDriver = require('./storage/s3StorageDriver');
+const imageProcessingService = require('./imageProcessingService');
+
+// Available storage drivers, selected with STORAGE_DRIVER
+const STORAGE_DRIVERS = {
+  supabase: SupabaseStorageDriver,
+  local: LocalStorageDriver,
+  s3: S3StorageDriver
+};
+
+// How long signed read URLs stay valid, in seconds (default: 15 minutes)
+const READ_URL_EXPIRY = parseInt(process.env.STORAGE_READ_URL_EXPIRY, 10) || 900;
+
+/**
+ * Storage Service
+ * Handles file uploads, signed upload URLs and deletion through the configured
+ * storage driver (Supabase, local disk or S3-compatible).
+ * Stored files are private: records keep each file's object URL, and callers that
+ * have checked the user may see the record mint short-lived signed read URLs.
+ */
+class StorageService {
+  constructor() {
+    // Without an explicit driver, use Supabase when it is configured and local disk otherwise
+    const driverName = process.env.STORAGE_DRIVER || (process.env.SUPABASE_URL ? 'supabase' : 'local');
+    const Driver = STORAGE_DRIVERS[driverName];
+
+    if (!Driver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+
+    this.driver = new Driver();
+  }
+
+  /**
+   * Make sure the driver is ready before using it
+   */
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error(`Storage driver "${this.driver.name}" not initialized. Check your configuration.`);
+    }
+  }
+
+  /**
+   * Generate a signed upload URL
+   * @param {string} fileName - Name of the file to upload
+   * @param {number} expiresIn - URL expiration time in seconds (default: 3600 = 1 hour)
+   * @param {string} folder - Folder to store the file in (default: verification-photos)
+   * @returns {Object} Object containing the signed URL, upload method and file path
+   */
+  async generateSignedUploadUrl(fileName, expiresIn = 3600, folder = 'verification-photos') {
+    try {
+      this.ensureConfigured();
+
+      // Generate unique file path with timestamp
+      const timestamp = Date.now();
+      const uniqueFileName = `${timestamp}-${fileName}`;
+      const filePath = `${folder}/${uniqueFileName}`;
+
+      const { signedUrl, method } = await this.driver.generateSignedUploadUrl(filePath, expiresIn);
+
+      return {
+        signedUrl,
+        method,
+        filePath,
+        publicUrl: this.getPublicUrl(filePath),
+        expiresAt: new Date(Date.now() + (expiresIn * 1000))
+      };
+    } catch (error) {
+      console.error('Error generating signed upload URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the public URL for a file
+   * @param {string} filePath - Path of the file in storage
+   * @returns {string} Public URL of the file
+   */
+  getPublicUrl(filePath) {
+    this.ensureConfigured();
+    return this.driver.getPublicUrl(filePath);
+  }
+
+  /**
+   * Upload task completion photo directly
+   * @param {Object} file - Multer file object
+   * @param {string} fileName - Custom filename for the uploaded file
+   * @param {string} folder - Folder to store the file in (default: task-completions)
+   * @returns {Object} Object containing the public URL and file path
+   */
+  async uploadTaskPhoto(file, fileName, folder = 'task-completions') {
+    try {
+      this.ensureConfigured();
+
+      if (!file || !file.buffer) {
+        throw new Error('Invalid file provided');
+      }
+
+      const fileExtension = file.originalname.split('.').pop() || 'jpg';
+      const uniqueFileName = `${fileName}.${fileExtension}`;
+      const filePath = await this.driver.upload(`${folder}/${uniqueFileName}`, file.buffer, file.mimetype);
+
+      console.log(`✅ File uploaded successfully: ${filePath}`);
+
+      return {
+        filePath,
+        publicUrl: this.getPublicUrl(filePath),
+        fileName: uniqueFileName,
+        fileSize: file.size,
+        mimeType: file.mimetype
+      };
+    } catch (error) {
+      console.error('Upload task photo error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check, process and store an uploaded file. Photos are stored as a resized WebP
+   * copy plus a thumbnail, with EXIF metadata read out and stripped; other accepted
+   * files are stored as uploaded.
+   * @param {Object} file - Multer file object
+   * @param {Object} options
+   * @param {string} options.fileName - File name without extension
+   * @param {string} options.folder - Folder to store the file in
+   * @param {Function} options.isAllowed - Receives the detected MIME type, returns true if accepted
+   * @returns {Object} Stored file (url, filePath, fileName, mimeType, size; photos also get
+   *                   thumbnailUrl, thumbnailPath, width, height and metadata)
+   */
+  async storeUpload(file, { fileName, folder, isAllowed }) {
+    const fileType = imageProcessingService.checkFileType(file, isAllowed);
+
+    if (!imageProcessingService.isProcessableImage(fileType.mimeType)) {
+      const uploadResult = await this.uploadTaskPhoto(
+        { ...file, originalname: `file.${fileType.extension}`, mimetype: fileType.mimeType },
+        fileName,
+        folder
+      );
+
+      return {
+        url: uploadResult.publicUrl,
+        filePath: uploadResult.filePath,
+        fileName: file.originalname,
+        mimeType: fileType.mimeType,
+        size: file.size
+      };
+    }
+
+    const photo = await imageProcessingService.processPhoto(file);
+    const [imageResult, thumbnailResult] = await Promise.all([
+      this.uploadTaskPhoto(photo.image, fileName, folder),
+      this.uploadTaskPhoto(photo.thumbnail, `${fileName}_thumb`, folder)
+    ]);
+
+    return {
+      url: imageResult.publicUrl,
+      filePath: imageResult.filePath,
+      fileName: file.originalname,
+      mimeType: photo.image.mimetype,
+      size: photo.image.size,
+      thumbnailUrl: thumbnailResult.publicUrl,
+      thumbnailPath: thumbnailResult.filePath,
+      width: photo.width,
+      height: photo.height,
+      metadata: photo.metadata
+    };
+  }
+
+  /**
+   * Store a file sent to a signed upload URL (local driver only - other
+   * drivers receive signed uploads directly)
+   * @param {string} token - Token from the signed upload URL
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Object} Object containing the public URL and file path
+   */
+  async uploadWithToken(token, buffer, contentType) {
+    this.ensureConfigured();
+
+    if (!this.driver.verifyUploadToken) {
+      throw new Error(`Storage driver "${this.driver.name}" does not accept uploads through the API`);
+    }
+
+    const filePath = await this.driver.upload(this.driver.verifyUploadToken(token), buffer, contentType);
+
+    return {
+      filePath,
+      publicUrl: this.getPublicUrl(filePath)
+    };
+  }
+
+  /**
+   * Get the file to send for a signed read URL (local driver only - other
+   * drivers serve signed reads directly)
+   * @param {string} token - Token from the signed read URL
+   * @returns {string} Absolute path of the file
+   */
+  getFileForReadToken(token) {
+    this.ensureConfigured();
+
+    if (!this.driver.verifyReadToken) {
+      throw new Error(`Storage driver "${this.driver.name}" does not serve files through the API`);
+    }
+
+    return this.driver.verifyReadToken(token);
+  }
+
+  /**
+   * Get a short-lived signed read URL for a stored file.
+   * Only call this after checking the user may see the record the file belongs to.
+   * @param {string} url - Stored object URL of the file
+   * @param {number} expiresIn - URL expiration time in seconds (default: STORAGE_READ_URL_EXPIRY)
+   * @returns {string|null} Signed URL, the URL unchanged if it is not in our storage, or null if signing failed
+   */
+  async getSignedReadUrl(url, expiresIn = READ_URL_EXPIRY) {
+    const filePath = this.getFilePathFromUrl(url);
+    if (!filePath) return url;
+
+    try {
+      return await this.driver.generateSignedReadUrl(filePath, expiresIn);
+    } catch (error) {
+      console.error('Error generating signed read URL:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace stored file URLs in a record with signed read URLs
+   * @param {Object} record - Mongoose document or plain object
+   * @param {Array} fields - Dotted paths of URL fields; arrays are walked (e.g. 'attachments.url')
+   * @returns {Object} Plain copy of the record with signed URLs
+   */
+  async signFileUrls(record, fields) {
+    const data = typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+
+    const sign = async (target, keys) => {
+      if (!target) return;
+      if (Array.isArray(target)) {
+        await Promise.all(target.map(item => sign(item, keys)));
+        return;
+      }
+
+      const [key, ...rest] = keys;
+      if (rest.length > 0) {
+        await sign(target[key], rest);
+      } else if (typeof target[key] === 'string') {
+        target[key] = await this.getSignedReadUrl(target[key]);
+      }
+    };
+
+    await Promise.all(fields.map(field => sign(data, field.split('.'))));
+    return data;
+  }
+
+  /**
+   * Check whether a URL points at a file in the configured storage
+   * @param {string} url - File URL
+   * @returns {boolean} True if the file belongs to our storage
+   */
+  isStorageUrl(url) {
+    return this.getFilePathFromUrl(url) !== null;
+  }
+
+  /**
+   * Get the storage path of a file from its URL
+   * @param {string} url - File URL
+   * @returns {string|null} File path, or null if the URL is not in the configured storage
+   */
+  getFilePathFromUrl(url) {
+    if (!this.isConfigured() || typeof url !== 'string') return null;
+    return this.driver.getFilePathFromUrl(url);
+  }
+
+  /**
+   * Delete a file from storage
+   * @param {string} filePath - Path of the file to delete
+   * @returns {boolean} Success status
+   */
+  async deleteFile(filePath) {
+    try {
+      this.ensureConfigured();
+      await this.driver.deleteFile(filePath);
+      return true;
+    } catch (error) {
+      console.error('Error deleting file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List files in a directory
+   * @param {string} path - Directory path to list files from
+   * @param {Object} options - Options for listing (limit, offset, etc.)
+   * @returns {Array} Array of file objects
+   */
+  async listFiles(path = '', options = {}) {
+    try {
+      this.ensureConfigured();
+      return await this.driver.listFiles(path, options);
+    } catch (error) {
+      console.error('Error listing files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if the service is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.driver.isConfigured();
+  }
+
+  /**
+   * Get the name of the active driver
+   * @returns {string} Driver name (supabase, local or s3)
+   */
+  getDriverName() {
+    return this.driver.name;
+  }
+
+  /**
+   * Get storage info and configuration
+   * @returns {Object} Storage service information
+   */
+  getStorageInfo() {
+    return {
+      driver: this.driver.name,
+      isConfigured: this.isConfigured(),
+      readUrlExpiry: READ_URL_EXPIRY,
+      ...this.driver.getInfo()
+    };
+  }
+}
+
+// Create singleton instance
+const storageService = new StorageService();
+
+module.exports = storageService;
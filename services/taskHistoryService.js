@@ -0,0 +1,134 @@
+const TaskHistory = require('../models/TaskHistory');
+
+// Task fields whose edits are recorded by updateTask
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'assignedManagerId',
+  'vendorId',
+  'scheduledDate',
+  'estimatedDuration',
+  'adminNotes'
+];
+
+/**
+ * Task History Service
+ * Records task status transitions and edits as append-only history entries,
+ * and turns them into a day-by-day timeline.
+ */
+class TaskHistoryService {
+  /**
+   * Record a history entry for a task
+   * @param {Object} task - Task document (after the change)
+   * @param {Object} entry
+   * @param {string} entry.action - What happened (see TaskHistory action enum)
+   * @param {string} [entry.fromStatus] - Status before the change
+   * @param {string} [entry.toStatus] - Status after the change (default: the task's current status)
+   * @param {Object} [entry.actor] - User who made the change (req.user); omit for system changes
+   * @param {string} [entry.notes] - Notes, rejection reason, etc.
+   * @param {string} [entry.photoUrl] - Photo submitted with the change
+   * @param {Array} [entry.changes] - Field-level changes ({ field, from, to })
+   * @param {Date} [entry.occurredAt] - When it happened (default: now)
+   * @returns {Object} Created history entry
+   */
+  async record(task, { action, fromStatus, toStatus, actor, notes, photoUrl, changes, occurredAt }) {
+    return TaskHistory.create({
+      taskId: task._id,
+      adminId: task.adminId?._id || task.adminId,
+      action,
+      fromStatus,
+      toStatus: toStatus || task.status,
+      actorId: actor?.id || actor?._id,
+      actorRole: actor?.role || 'System',
+      notes,
+      photoUrl,
+      changes,
+      occurredAt
+    });
+  }
+
+  /**
+   * Work out which tracked fields an edit changes
+   * @param {Object} before - Task before the edit
+   * @param {Object} updateData - Fields being set
+   * @returns {Array} Changes ({ field, from, to })
+   */
+  getChanges(before, updateData) {
+    const normalise = value => {
+      if (value === null || value === undefined || value === '') return null;
+      if (value instanceof Date) return value.toISOString();
+      if (value._id) return value._id.toString();
+      return value.toString();
+    };
+
+    const changes = [];
+    TRACKED_FIELDS.forEach(field => {
+      const unset = updateData.$unset && updateData.$unset[field];
+      if (!(field in updateData) && !unset) return;
+
+      const from = normalise(before[field]);
+      const to = unset ? null : normalise(field === 'scheduledDate' ? new Date(updateData[field]) : updateData[field]);
+      if (from !== to) {
+        changes.push({ field, from, to });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Get a task's history, oldest first
+   * @param {string} taskId - Task ID
+   * @returns {Array} History entries with actor names
+   */
+  async getHistory(taskId) {
+    return TaskHistory.find({ taskId })
+      .populate('actorId', 'firstName lastName role')
+      .sort({ occurredAt: 1, createdAt: 1 });
+  }
+
+  /**
+   * Build a day-by-day timeline from history entries
+   * Each day shows the status the task ended the day in and what happened that day.
+   * @param {Object} task - Task document
+   * @param {Array} entries - History entries, oldest first
+   * @returns {Array} Days ({ date, day, status, events })
+   */
+  buildTimeline(task, entries) {
+    if (entries.length === 0) return [];
+
+    const dayKey = date => new Date(date).toISOString().slice(0, 10);
+    const start = new Date(`${dayKey(entries[0].occurredAt)}T00:00:00.000Z`);
+
+    // Closed tasks stop at the last entry; open tasks run until today
+    const lastEntry = entries[entries.length - 1];
+    const end = task.status === 'Completed'
+      ? new Date(`${dayKey(lastEntry.occurredAt)}T00:00:00.000Z`)
+      : new Date(`${dayKey(new Date())}T00:00:00.000Z`);
+
+    const timeline = [];
+    let status = null;
+    let index = 0;
+
+    for (let date = start, day = 1; date <= end; date = new Date(date.getTime() + 24 * 60 * 60 * 1000), day++) {
+      const key = dayKey(date);
+      const events = [];
+
+      while (index < entries.length && dayKey(entries[index].occurredAt) === key) {
+        events.push(entries[index]);
+        status = entries[index].toStatus;
+        index++;
+      }
+
+      timeline.push({ date: key, day, status, events });
+    }
+
+    return timeline;
+  }
+}
+
+// Create singleton instance
+const taskHistoryService = new TaskHistoryService();
+
+module.exports = taskHistoryService;